@@ -0,0 +1,319 @@
+import { LayerType } from './LayerType.js';
+import { createDateRange } from './DateRange.js';
+import { createSceneFilter, splitFilterList } from './SceneFilter.js';
+import { getSpectralIndex } from './SpectralIndex.js';
+import { Colormaps } from './Colormap.js';
+import { BlendModes } from './LayerStackControl.js';
+import { createRadiometry, isRadiometrySet } from './Radiometry.js';
+import { ResamplingMethods, defaultResampling } from './Warp.js';
+import { getStacProvider, defaultStacProviderId } from './STACProvider.js';
+import { FootprintColorModes, defaultFootprintColorMode } from './FootprintLayer.js';
+import { createChangeThresholds, isDefaultChangeThresholds } from './ChangeDetection.js';
+
+// The app state is kept in the url: short states as query params, long ones (areas of interest,
+// many layers) as the same params compressed into the #state= hash
+const statePrefix = "#state=";
+const maxQueryLength = 1500;
+const sessionFileType = "sentinel2-viewer-session";
+const sessionFileVersion = 1;
+
+export const temporalModes = new Map([
+  ["latest", "Latest image"],
+  ["median", "Median of scenes"],
+  ["max", "Max NDVI / index value"],
+  ["best", "Least cloudy pixel"],
+]);
+
+export function isValidIndex(indexId) {
+  if (!indexId)
+    return false;
+
+  try {
+    getSpectralIndex(indexId);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function parseOptionalFloat(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// layers=Type[:opacity[:blendMode]],… lists the layers from the bottom to the top one,
+// the single overlay param of older urls is still understood
+function parseLayerStack(params) {
+  const layersParam = params.get("layers") ?? params.get("overlay") ?? LayerType.Sentinel2RgbCloudless;
+  const stack = [];
+
+  for (const item of layersParam.split(",")) {
+    const [layerType, opacity, blendMode] = item.split(":");
+    if (!Object.hasOwn(LayerType, layerType) || stack.some(entry => entry.layerType == layerType))
+      continue;
+
+    stack.push({
+      layerType: layerType,
+      opacity: Math.min(Math.max(parseOptionalFloat(opacity) ?? 1, 0), 1),
+      blendMode: BlendModes.includes(blendMode) ? blendMode : "normal",
+    });
+  }
+
+  return stack;
+}
+
+function formatLayerStack(stack) {
+  return stack.map(entry => {
+    let item = entry.layerType;
+    if (entry.opacity != 1 || entry.blendMode != "normal")
+      item += `:${entry.opacity}`;
+    if (entry.blendMode != "normal")
+      item += `:${entry.blendMode}`;
+    return item;
+  }).join(",");
+}
+
+// rad=Type:brightness:contrast:gamma:saturation[:auto],… the auto-stretch ranges are computed again
+function parseRadiometries(params) {
+  const radiometries = {};
+  for (const item of (params.get("rad") ?? "").split(",")) {
+    const [layerType, brightness, contrast, gamma, saturation, auto] = item.split(":");
+    if (Object.hasOwn(LayerType, layerType))
+      radiometries[layerType] = createRadiometry({
+        brightness: parseOptionalFloat(brightness),
+        contrast: parseOptionalFloat(contrast),
+        gamma: parseOptionalFloat(gamma),
+        saturation: parseOptionalFloat(saturation),
+        autoStretch: auto == "auto",
+      });
+  }
+
+  return radiometries;
+}
+
+function formatRadiometries(radiometries) {
+  return Object.entries(radiometries)
+    .filter(([layerType, radiometry]) => isRadiometrySet(radiometry) || radiometry.autoStretch)
+    .map(([layerType, radiometry]) => {
+      let item = [layerType, radiometry.brightness, radiometry.contrast, radiometry.gamma, radiometry.saturation].join(":");
+      if (radiometry.autoStretch)
+        item += ":auto";
+      return item;
+    }).join(",");
+}
+
+// Areas of interest are a GeoJSON FeatureCollection
+function parseAois(value) {
+  if (!value)
+    return null;
+
+  try {
+    const aois = JSON.parse(value);
+    return aois?.type == "FeatureCollection" && Array.isArray(aois.features) ? aois : null;
+  } catch (error) {
+    console.log(`Invalid areas of interest in the url: ${error.message}`);
+    return null;
+  }
+}
+
+export function parseState(params) {
+  return {
+    lat: parseFloat(params.get('lat')) || 0,
+    lng: parseFloat(params.get('lng')) || 0,
+    zoom: parseInt(params.get('z')) || 2,
+    background: params.get("background") || "openstreetmap",
+    layers: parseLayerStack(params),
+    dateRange: createDateRange(params.get("from"), params.get("to")),
+    cloudMask: params.get("mask") == "1",
+    sceneFilter: createSceneFilter({
+      maxCloudCoverage: parseOptionalFloat(params.get("cloud")),
+      minDataCoverage: parseOptionalFloat(params.get("coverage")) ?? 0,
+      excludedTiles: splitFilterList(params.get("xtiles")),
+      excludedOrbits: splitFilterList(params.get("xorbits")),
+      platforms: splitFilterList(params.get("platforms")),
+    }),
+    temporal: {
+      mode: temporalModes.has(params.get("composite")) ? params.get("composite") : "latest",
+      scenes: Math.min(Math.max(parseInt(params.get("scenes")) || 5, 2), 10),
+    },
+    index: isValidIndex(params.get("index")) ? params.get("index") : "NDVI",
+    colormap: Object.hasOwn(Colormaps, params.get("colormap")) ? params.get("colormap") : null,
+    stretch: {
+      min: parseOptionalFloat(params.get("min")),
+      max: parseOptionalFloat(params.get("max")),
+    },
+    radiometry: parseRadiometries(params),
+    resampling: Object.hasOwn(ResamplingMethods, params.get("resampling")) ? params.get("resampling") : defaultResampling,
+    compare: {
+      layerType: params.get("compare"),
+      dateRange: createDateRange(params.get("compareFrom"), params.get("compareTo")),
+      ratio: Math.min(Math.max(parseFloat(params.get("swipe")) || 0.5, 0), 1),
+    },
+    // changeThresholds=low,high of the change classes
+    change: {
+      dateRange: createDateRange(params.get("changeFrom"), params.get("changeTo")),
+      thresholds: createChangeThresholds(...(params.get("changeThresholds") ?? "").split(",").map(parseOptionalFloat)),
+      classes: params.get("changeClasses") == "1",
+    },
+    sceneId: params.get("scene"),
+    footprintColor: Object.hasOwn(FootprintColorModes, params.get("footprints")) ? params.get("footprints") : defaultFootprintColorMode,
+    stacProvider: getStacProvider(params.get("stac")).id,
+    aois: parseAois(params.get("aois")),
+    unknownPosition: !params.has('lat') && !params.has('lng'),
+  };
+}
+
+// Inverse of parseState, default values are left out
+export function formatState(state) {
+  const params = new URLSearchParams();
+
+  params.set('lat', state.lat.toFixed(5));
+  params.set('lng', state.lng.toFixed(5));
+  params.set('z', state.zoom);
+  params.set("background", state.background ?? "none");
+  params.set("layers", formatLayerStack(state.layers));
+  if (state.dateRange.from != null)
+    params.set("from", state.dateRange.from);
+  if (state.dateRange.to != null)
+    params.set("to", state.dateRange.to);
+  if (state.cloudMask)
+    params.set("mask", "1");
+  if (state.sceneFilter.maxCloudCoverage != null)
+    params.set("cloud", state.sceneFilter.maxCloudCoverage);
+  if (state.sceneFilter.minDataCoverage > 0)
+    params.set("coverage", state.sceneFilter.minDataCoverage);
+  if (state.sceneFilter.excludedTiles.length > 0)
+    params.set("xtiles", state.sceneFilter.excludedTiles.join(","));
+  if (state.sceneFilter.excludedOrbits.length > 0)
+    params.set("xorbits", state.sceneFilter.excludedOrbits.join(","));
+  if (state.sceneFilter.platforms.length > 0)
+    params.set("platforms", state.sceneFilter.platforms.join(","));
+  if (state.temporal.mode != "latest") {
+    params.set("composite", state.temporal.mode);
+    params.set("scenes", state.temporal.scenes);
+  }
+  if (state.index != "NDVI")
+    params.set("index", state.index);
+  if (state.colormap != null)
+    params.set("colormap", state.colormap);
+  if (state.stretch.min != null)
+    params.set("min", state.stretch.min);
+  if (state.stretch.max != null)
+    params.set("max", state.stretch.max);
+  if (state.resampling != defaultResampling)
+    params.set("resampling", state.resampling);
+  if (formatRadiometries(state.radiometry) != "")
+    params.set("rad", formatRadiometries(state.radiometry));
+  if (state.compare.layerType != null) {
+    params.set("compare", state.compare.layerType);
+    if (state.compare.dateRange.from != null)
+      params.set("compareFrom", state.compare.dateRange.from);
+    if (state.compare.dateRange.to != null)
+      params.set("compareTo", state.compare.dateRange.to);
+    params.set("swipe", state.compare.ratio.toFixed(2));
+  }
+  if (state.change.dateRange.from != null)
+    params.set("changeFrom", state.change.dateRange.from);
+  if (state.change.dateRange.to != null)
+    params.set("changeTo", state.change.dateRange.to);
+  if (!isDefaultChangeThresholds(state.change.thresholds))
+    params.set("changeThresholds", state.change.thresholds.join(","));
+  if (state.change.classes)
+    params.set("changeClasses", "1");
+  if (state.sceneId != null)
+    params.set("scene", state.sceneId);
+  if (state.footprintColor != defaultFootprintColorMode)
+    params.set("footprints", state.footprintColor);
+  if (state.stacProvider != defaultStacProviderId)
+    params.set("stac", state.stacProvider);
+  if (state.aois?.features.length > 0)
+    params.set("aois", JSON.stringify(state.aois));
+
+  return params;
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const byte of bytes)
+    binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, transformStream) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// "z" marks deflated params, "j" the plain ones for browsers without CompressionStream
+async function encodeParams(params) {
+  const bytes = new TextEncoder().encode(params.toString());
+  if (typeof CompressionStream == "undefined")
+    return "j" + toBase64Url(bytes);
+
+  return "z" + toBase64Url(await transformBytes(bytes, new CompressionStream("deflate-raw")));
+}
+
+async function decodeParams(encoded) {
+  let bytes = fromBase64Url(encoded.slice(1));
+  if (encoded[0] == "z")
+    bytes = await transformBytes(bytes, new DecompressionStream("deflate-raw"));
+  else if (encoded[0] != "j")
+    throw new Error(`Unknown state encoding ${encoded[0]}`);
+
+  return new URLSearchParams(new TextDecoder().decode(bytes));
+}
+
+// The state of the current url, a broken #state= hash falls back to the query params
+export async function readLocationState() {
+  let params = new URLSearchParams(window.location.search);
+  if (window.location.hash.startsWith(statePrefix)) {
+    try {
+      params = await decodeParams(window.location.hash.slice(statePrefix.length));
+    } catch (error) {
+      console.log(`Failed to decode the url state: ${error.message}`);
+    }
+  }
+
+  return parseState(params);
+}
+
+export async function getStateUrl(params) {
+  const query = params.toString();
+  if (query.length <= maxQueryLength && !params.has("aois"))
+    return `${window.location.pathname}?${query}`;
+
+  return window.location.pathname + statePrefix + await encodeParams(params);
+}
+
+export function createSessionFile(state) {
+  const stateParams = Object.fromEntries(formatState(state));
+  if (stateParams.aois != null)
+    stateParams.aois = JSON.parse(stateParams.aois);
+
+  const session = {
+    type: sessionFileType,
+    version: sessionFileVersion,
+    created: new Date().toISOString(),
+    state: stateParams,
+  };
+  return new Blob([JSON.stringify(session, null, 2)], { type: "application/json" });
+}
+
+// Returns the url params of a session file
+export function parseSessionFile(text) {
+  const session = JSON.parse(text);
+  if (session?.type != sessionFileType || typeof session.state != "object")
+    throw new Error("Not a session file");
+  if (session.version > sessionFileVersion)
+    throw new Error(`Session file version ${session.version} is newer than this viewer`);
+
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(session.state))
+    params.set(name, typeof value == "object" ? JSON.stringify(value) : value);
+  return params;
+}
@@ -0,0 +1,39 @@
+// Stretch is { min, max } in reflectance (number or per band array), fixed so that neighbouring tiles
+// match. Adaptive stretches come from the viewport auto-stretch of the radiometry settings
+export const BandComposites = Object.freeze({
+  falseColor: {
+    name: "False colour (B08/B04/B03)",
+    bands: ["B08", "B04", "B03"],
+    stretch: { min: 0, max: [0.45, 0.2, 0.2] },
+    gamma: 1.2,
+  },
+  swir: {
+    name: "SWIR (B12/B8A/B04)",
+    bands: ["B12", "B8A", "B04"],
+    stretch: { min: 0, max: [0.4, 0.45, 0.2] },
+    gamma: 1.2,
+  },
+  agriculture: {
+    name: "Agriculture (B11/B08/B02)",
+    bands: ["B11", "B08", "B02"],
+    stretch: { min: 0, max: [0.4, 0.5, 0.2] },
+    gamma: 1,
+  },
+});
+
+function bandValue(value, band) {
+  return Array.isArray(value) ? value[band] : value;
+}
+
+// Returns [[min, max] per band] of the composite bands
+export function compositeStretchRanges(composite) {
+  const stretch = composite.stretch;
+  return composite.bands.map((_, band) => [bandValue(stretch.min, band), bandValue(stretch.max, band)]);
+}
+
+// Maps a reflectance to 0..255 with the band stretch range and gamma correction
+export function stretchValue(value, range, gamma) {
+  let t = (value - range[0]) / Math.max(range[1] - range[0], 1e-6);
+  t = Math.max(0, Math.min(t, 1));
+  return Math.round(255 * Math.pow(t, 1 / gamma));
+}
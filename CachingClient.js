@@ -0,0 +1,73 @@
+import { rangeCache } from './PersistentCache.js';
+
+class CachedResponse {
+  #status = 0;
+  #headers = null;
+  #data = null;
+
+  constructor(status, headers, data) {
+    this.#status = status;
+    this.#headers = headers;
+    this.#data = data;
+  }
+
+  get ok() {
+    return this.#status >= 200 && this.#status <= 299;
+  }
+
+  get status() {
+    return this.#status;
+  }
+
+  getHeader(name) {
+    return this.#headers[name.toLowerCase()];
+  }
+
+  async getData() {
+    return this.#data;
+  }
+}
+
+// geotiff.js client storing the byte range responses in the persistent range cache.
+// cacheUrl is the unsigned asset url so that a new signature does not invalidate the cache
+export class CachingClient {
+  #signedUrl = null;
+  #cacheUrl = null;
+  #headers = null;
+
+  constructor(signedUrl, cacheUrl, headers = {}) {
+    this.#signedUrl = signedUrl;
+    this.#cacheUrl = cacheUrl;
+    this.#headers = headers;
+  }
+
+  get url() {
+    return this.#signedUrl;
+  }
+
+  async request({ headers, credentials, signal } = {}) {
+    const range = headers?.Range ?? headers?.range ?? "";
+    const cacheKey = `${this.#cacheUrl}|${range}`;
+
+    const cached = await rangeCache.get(cacheKey, !navigator.onLine);
+    if (cached != null)
+      return new CachedResponse(cached.status, cached.headers, cached.data);
+
+    const response = await fetch(this.#signedUrl, {
+      headers: { ...this.#headers, ...headers },
+      credentials: credentials,
+      signal: signal,
+    });
+
+    const responseHeaders = {};
+    for (const name of ["content-type", "content-range", "content-length"])
+      if (response.headers.has(name))
+        responseHeaders[name] = response.headers.get(name);
+
+    const data = await response.arrayBuffer();
+    if (response.ok)
+      rangeCache.set(cacheKey, { status: response.status, headers: responseHeaders, data: data });
+
+    return new CachedResponse(response.status, responseHeaders, data);
+  }
+}
@@ -0,0 +1,66 @@
+import { createDateRange, isDateRangeSet } from './DateRange.js';
+
+// Change of a spectral index between a "before" period and the date range of the layer, after minus
+// before: vegetation loss (dNDVI) and burned areas (dNBR) are negative, regrowth is positive
+export const ChangeClasses = Object.freeze([
+  { id: "strongDecrease", name: "Strong decrease", color: [178, 24, 43] },
+  { id: "decrease", name: "Decrease", color: [244, 165, 130] },
+  { id: "noChange", name: "No change", color: [247, 247, 247] },
+  { id: "increase", name: "Increase", color: [146, 197, 222] },
+  { id: "strongIncrease", name: "Strong increase", color: [33, 102, 172] },
+]);
+
+// |change| of the decrease / increase and the strong decrease / increase classes
+export const defaultChangeThresholds = Object.freeze([0.1, 0.25]);
+
+// The continuous change is drawn with the diverging colormap over ±changeDisplayRange
+export const changeColormap = "diverging";
+export const changeDisplayRange = 0.5;
+
+export function createChangeThresholds(low, high) {
+  low = Number.isFinite(low) ? Math.min(Math.abs(low), 2) : defaultChangeThresholds[0];
+  high = Number.isFinite(high) ? Math.min(Math.abs(high), 2) : defaultChangeThresholds[1];
+  return low <= high ? [low, high] : [high, low];
+}
+
+export function isDefaultChangeThresholds(thresholds) {
+  return thresholds[0] == defaultChangeThresholds[0] && thresholds[1] == defaultChangeThresholds[1];
+}
+
+// Index of the class in ChangeClasses
+export function classifyChange(change, [low, high]) {
+  if (change <= -high)
+    return 0;
+  if (change <= -low)
+    return 1;
+  if (change < low)
+    return 2;
+  return change < high ? 3 : 4;
+}
+
+// Pixel count per class of the valid pixels of values inside mask
+export function countChangeClasses(values, valid, mask, thresholds) {
+  const counts = new Array(ChangeClasses.length).fill(0);
+  for (let i = 0; i < values.length; i++)
+    if (valid[i] && mask[i])
+      counts[classifyChange(values[i], thresholds)]++;
+
+  return counts;
+}
+
+function previousYear(date) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+  return shifted.toISOString().split('T')[0];
+}
+
+// The "before" period when none is chosen: the date range of the layer a year earlier,
+// for the latest images the latest ones a year ago
+export function previousYearDateRange(dateRange, today = new Date().toISOString().split('T')[0]) {
+  if (!isDateRangeSet(dateRange))
+    return createDateRange(null, previousYear(today));
+
+  return createDateRange(
+    dateRange.from != null ? previousYear(dateRange.from) : null,
+    previousYear(dateRange.to ?? today));
+}
@@ -0,0 +1,124 @@
+function evenStops(colors) {
+  return colors.map((color, i) => [i / (colors.length - 1), color]);
+}
+
+export const Colormaps = Object.freeze({
+  ndvi: {
+    name: "NDVI greens",
+    stops: [
+      [0,     "#eaeaea"],
+      [0.025, "#fff9cc"],
+      [0.05,  "#ede8b5"],
+      [0.075, "#ddd89b"],
+      [0.1,   "#ccc682"],
+      [0.125, "#bcb76b"],
+      [0.15,  "#afc160"],
+      [0.175, "#a3cc59"],
+      [0.2,   "#91bf51"],
+      [0.25,  "#7fb247"],
+      [0.3,   "#70a33f"],
+      [0.35,  "#609635"],
+      [0.4,   "#4f892d"],
+      [0.45,  "#3f7c23"],
+      [0.5,   "#306d1c"],
+      [0.55,  "#216011"],
+      [0.6,   "#0f540a"],
+      [1,     "#004400"],
+    ],
+  },
+  viridis: {
+    name: "Viridis",
+    stops: evenStops(["#440154", "#472d7b", "#3b528b", "#2c728e", "#21918c", "#28ae80", "#5ec962", "#addc30", "#fde725"]),
+  },
+  RdYlGn: {
+    name: "Red-yellow-green",
+    stops: evenStops(["#a50026", "#d73027", "#f46d43", "#fdae61", "#fee08b", "#ffffbf",
+      "#d9ef8b", "#a6d96a", "#66bd63", "#1a9850", "#006837"]),
+  },
+  magma: {
+    name: "Magma",
+    stops: evenStops(["#000004", "#1c1044", "#4f127b", "#812581", "#b5367a", "#e55064", "#fb8761", "#fec287", "#fcfdbf"]),
+  },
+  diverging: {
+    name: "Diverging red-blue",
+    stops: evenStops(["#b2182b", "#d6604d", "#f4a582", "#fddbc7", "#f7f7f7", "#d1e5f0", "#92c5de", "#4393c3", "#2166ac"]),
+  },
+  categorical: {
+    name: "Categorical (10 classes)",
+    stops: evenStops(["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf"]),
+    discrete: true,
+  },
+});
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+const lookupSize = 256;
+const lookupTables = new Map();
+
+// 256 entry RGB table, discrete colormaps map equal value intervals to their colors
+function buildLookupTable(colormap) {
+  const colors = colormap.stops.map(stop => hexToRgb(stop[1]));
+  const lookup = new Uint8ClampedArray(lookupSize * 3);
+
+  for (let i = 0; i < lookupSize; i++) {
+    const t = i / (lookupSize - 1);
+    let rgb = null;
+
+    if (colormap.discrete) {
+      rgb = colors[Math.min(Math.floor(t * colors.length), colors.length - 1)];
+    } else {
+      const upperIndex = Math.max(colormap.stops.findIndex(stop => stop[0] >= t), 1);
+      const [lowerPos] = colormap.stops[upperIndex - 1];
+      const [upperPos] = colormap.stops[upperIndex];
+      const w = upperPos > lowerPos ? (t - lowerPos) / (upperPos - lowerPos) : 0;
+      const lower = colors[upperIndex - 1], upper = colors[upperIndex];
+      rgb = [0, 1, 2].map(c => Math.round(lower[c] + w * (upper[c] - lower[c])));
+    }
+
+    lookup.set(rgb, i * 3);
+  }
+
+  return lookup;
+}
+
+export function getColormap(colormapId) {
+  if (!Object.hasOwn(Colormaps, colormapId))
+    throw new Error(`Unknown colormap "${colormapId}"`);
+
+  if (!lookupTables.has(colormapId))
+    lookupTables.set(colormapId, buildLookupTable(Colormaps[colormapId]));
+
+  return lookupTables.get(colormapId);
+}
+
+// Writes the color of the value stretched to [minValue, maxValue] into data at offset, returns false
+// without writing for non-finite values, which are no data. An empty range splits at minValue
+export function applyColormap(lookup, value, minValue, maxValue, data, offset) {
+  if (!Number.isFinite(value))
+    return false;
+
+  let t = maxValue != minValue ? (value - minValue) / (maxValue - minValue) : (value < minValue ? 0 : 1);
+  t = Math.max(0, Math.min(t, 1));
+
+  const lookupOffset = Math.round(t * (lookupSize - 1)) * 3;
+  data[offset] = lookup[lookupOffset];
+  data[offset + 1] = lookup[lookupOffset + 1];
+  data[offset + 2] = lookup[lookupOffset + 2];
+  return true;
+}
+
+export function colormapGradient(colormapId) {
+  const colormap = Colormaps[colormapId];
+  let stops = null;
+
+  if (colormap.discrete) {
+    const step = 100 / colormap.stops.length;
+    stops = colormap.stops.map((stop, i) => `${stop[1]} ${i * step}% ${(i + 1) * step}%`);
+  } else
+    stops = colormap.stops.map(stop => `${stop[1]} ${stop[0] * 100}%`);
+
+  return `linear-gradient(to right, ${stops.join(", ")})`;
+}
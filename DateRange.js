@@ -0,0 +1,31 @@
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value) {
+  if (value == null || !datePattern.test(value))
+    return null;
+  return isNaN(Date.parse(value)) ? null : value;
+}
+
+export function createDateRange(from, to) {
+  from = parseDate(from);
+  to = parseDate(to);
+
+  if (from != null && to != null && from > to)
+    [from, to] = [to, from];
+
+  return { from: from, to: to };
+}
+
+export function isDateRangeSet(dateRange) {
+  return dateRange != null && (dateRange.from != null || dateRange.to != null);
+}
+
+// A single "to" date means "latest imagery acquired up to this date"
+export function toStacDatetime(dateRange) {
+  if (!isDateRangeSet(dateRange))
+    return null;
+
+  const start = dateRange.from != null ? `${dateRange.from}T00:00:00Z` : "..";
+  const end = dateRange.to != null ? `${dateRange.to}T23:59:59Z` : "..";
+  return `${start}/${end}`;
+}
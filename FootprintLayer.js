@@ -0,0 +1,81 @@
+import { getColormap, applyColormap } from './Colormap.js';
+
+export const FootprintColorModes = Object.freeze({
+  age: "Acquisition age",
+  cloud: "Cloud cover",
+});
+
+export const defaultFootprintColorMode = "age";
+
+// Scenes of this age and older get the colour of the oldest ones
+export const maxFootprintAgeDays = 60;
+export const footprintColormap = "RdYlGn";
+
+// Green for the fresh or clear scenes, red for the old or cloudy ones
+function footprintColor(scene, colorMode) {
+  const rgb = new Uint8ClampedArray(3);
+  if (colorMode == "cloud")
+    applyColormap(getColormap(footprintColormap), -(scene.cloudCover ?? 100), -100, 0, rgb, 0);
+  else {
+    const ageDays = (Date.now() - Date.parse(scene.datetime)) / (24 * 60 * 60 * 1000);
+    applyColormap(getColormap(footprintColormap), -ageDays, -maxFootprintAgeDays, 0, rgb, 0);
+  }
+
+  return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+}
+
+function footprintTooltip(scene) {
+  const tooltip = document.createElement('div');
+  tooltip.className = 'footprint-tooltip';
+  tooltip.innerHTML = `
+    <img alt="">
+    <div>${scene.datetime.split('T')[0]} ${scene.datetime.split('T')[1].slice(0, 5)} UTC</div>
+    <div>Cloud cover ${scene.cloudCover?.toFixed(1) ?? "–"}%</div>
+    <div>Tile ${scene.mgrsTile ?? "–"}</div>`;
+
+  const thumbnail = tooltip.querySelector('img');
+  if (scene.thumbnail != null)
+    thumbnail.src = scene.thumbnail;
+  else
+    thumbnail.remove();
+
+  return tooltip;
+}
+
+// STAC footprints of a zoomed out view, coloured by acquisition age or cloud cover with the newest
+// scenes on top. The fills are translucent, so that they add up where the view is covered by many scenes.
+// Hovering a footprint shows its scene and preview, clicking it zooms to the scene
+export class FootprintLayer extends L.GeoJSON {
+  #colorMode = defaultFootprintColorMode;
+
+  constructor(colorMode = defaultFootprintColorMode, options) {
+    super(null, options);
+    this.#colorMode = colorMode;
+    this.options.style = feature => this.#style(feature.properties);
+    this.options.onEachFeature = (feature, layer) => {
+      layer.bindTooltip(() => footprintTooltip(feature.properties), { sticky: true });
+      layer.on('click', () => this._map?.fitBounds(layer.getBounds()));
+    };
+  }
+
+  getColorMode() {
+    return this.#colorMode;
+  }
+
+  setColorMode(colorMode) {
+    this.#colorMode = colorMode;
+    this.eachLayer(layer => this.resetStyle(layer));
+  }
+
+  // scenes are listed by Sentinel2GridLayer.requestFootprints
+  setScenes(scenes) {
+    this.clearLayers();
+    const sortedScenes = [...scenes].sort((a, b) => a.datetime.localeCompare(b.datetime));
+    this.addData(sortedScenes.map(scene => ({ type: "Feature", geometry: scene.geometry, properties: scene })));
+  }
+
+  #style(scene) {
+    const color = footprintColor(scene, this.#colorMode);
+    return { color: color, weight: 1, fillColor: color, fillOpacity: 0.15 };
+  }
+}
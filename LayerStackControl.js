@@ -0,0 +1,87 @@
+export const BlendModes = Object.freeze([
+  "normal", "multiply", "screen", "overlay", "darken", "lighten",
+  "color-burn", "hard-light", "soft-light", "difference", "luminosity",
+]);
+
+// Opacity, blend mode and order of the stacked layers. The stack is an array of
+// { layer, opacity, blendMode } entries from the bottom to the top layer, the control
+// edits the entries in place and calls onChange
+export class LayerStackControl extends L.Control {
+  #stack = [];
+  #layerNames = null;
+  #onChange = null;
+
+  constructor(layerNames, onChange, options) {
+    super({ position: 'topright', ...options });
+    this.#layerNames = layerNames;
+    this.#onChange = onChange;
+  }
+
+  onAdd(map) {
+    const container = L.DomUtil.create('div', 'leaflet-bar date-range-control layer-stack-control');
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+    this.#render(container);
+    return container;
+  }
+
+  setStack(stack) {
+    this.#stack = stack;
+    if (this._container != null)
+      this.#render(this._container);
+  }
+
+  #render(container) {
+    container.replaceChildren();
+    container.style.display = this.#stack.length == 0 ? 'none' : '';
+
+    // The top layer is listed first
+    for (let i = this.#stack.length - 1; i >= 0; i--)
+      container.appendChild(this.#createRow(this.#stack[i], i));
+  }
+
+  #createRow(entry, position) {
+    const row = L.DomUtil.create('div', 'layer-stack-row');
+    row.innerHTML = `
+      <div class="layer-stack-name"></div>
+      <input type="range" name="opacity" min="0" max="1" step="0.05" title="Opacity">
+      <select name="blendMode" title="Blend mode">
+        ${BlendModes.map(mode => `<option value="${mode}">${mode}</option>`).join("")}
+      </select>
+      <button type="button" name="up" title="Move up">▲</button>
+      <button type="button" name="down" title="Move down">▼</button>`;
+
+    row.querySelector('.layer-stack-name').textContent = this.#layerNames.get(entry.layer._layerId) ?? entry.layer._layerId;
+
+    const opacityInput = row.querySelector('input[name="opacity"]');
+    opacityInput.value = entry.opacity;
+    opacityInput.addEventListener('input', () => {
+      entry.opacity = parseFloat(opacityInput.value);
+      this.#onChange();
+    });
+
+    const blendModeSelect = row.querySelector('select[name="blendMode"]');
+    blendModeSelect.value = entry.blendMode;
+    blendModeSelect.addEventListener('change', () => {
+      entry.blendMode = blendModeSelect.value;
+      this.#onChange();
+    });
+
+    const upButton = row.querySelector('button[name="up"]');
+    upButton.disabled = position == this.#stack.length - 1;
+    upButton.addEventListener('click', () => this.#move(position, position + 1));
+
+    const downButton = row.querySelector('button[name="down"]');
+    downButton.disabled = position == 0;
+    downButton.addEventListener('click', () => this.#move(position, position - 1));
+
+    return row;
+  }
+
+  #move(from, to) {
+    const [entry] = this.#stack.splice(from, 1);
+    this.#stack.splice(to, 0, entry);
+    this.#render(this._container);
+    this.#onChange();
+  }
+}
@@ -3,6 +3,13 @@ export const LayerType = Object.freeze({
   Sentinel2RgbLatest: "Sentinel2RgbLatest",
   Sentinel2NdviCloudless: "Sentinel2NdviCloudless",
   Sentinel2NdviLatest: "Sentinel2NdviLatest",
+  Sentinel2IndexCloudless: "Sentinel2IndexCloudless",
+  Sentinel2IndexLatest: "Sentinel2IndexLatest",
+  Sentinel2IndexChange: "Sentinel2IndexChange",
+  Sentinel2FalseColor: "Sentinel2FalseColor",
+  Sentinel2Swir: "Sentinel2Swir",
+  Sentinel2Agriculture: "Sentinel2Agriculture",
+  Sentinel2SceneClassification: "Sentinel2SceneClassification",
 });
 
 export const BackgroundType = Object.freeze({
@@ -0,0 +1,39 @@
+import { colormapGradient } from './Colormap.js';
+
+export class LegendControl extends L.Control {
+  #legend = null;
+
+  constructor(options) {
+    super({ position: 'bottomleft', ...options });
+  }
+
+  onAdd(map) {
+    const container = L.DomUtil.create('div', 'leaflet-control legend-control');
+    container.innerHTML = `
+      <div class="legend-title"></div>
+      <div class="legend-bar"></div>
+      <div class="legend-labels"><span class="legend-min"></span><span class="legend-max"></span></div>`;
+
+    L.DomEvent.disableClickPropagation(container);
+    this.#render(container);
+    return container;
+  }
+
+  // legend is { title, colormap, min, max } or null to hide the control
+  setLegend(legend) {
+    this.#legend = legend;
+    if (this._container != null)
+      this.#render(this._container);
+  }
+
+  #render(container) {
+    container.style.display = this.#legend == null ? 'none' : '';
+    if (this.#legend == null)
+      return;
+
+    container.querySelector('.legend-title').textContent = this.#legend.title;
+    container.querySelector('.legend-bar').style.background = colormapGradient(this.#legend.colormap);
+    container.querySelector('.legend-min').textContent = `≤ ${this.#legend.min}`;
+    container.querySelector('.legend-max').textContent = `≥ ${this.#legend.max}`;
+  }
+}
@@ -0,0 +1,41 @@
+// Selection of the COG image a cell is read from. Sentinel-2 COGs hold the band at its native 10 m, 20 m
+// or 60 m resolution and overviews halving it, the cell is read from the coarsest image that is still
+// at least as fine as the cell pixels and resampled onto the cell grid, so bands of every resolution line up.
+// An overview is { image, width, height, origin: [x, y], resolution: [x, y] } with positive resolutions
+
+// Index of the overview to read pixels of resolution from, the full resolution image when the band is coarser
+export function selectOverview(overviews, resolution) {
+  let selected = 0;
+  for (let i = 1; i < overviews.length; i++)
+    if (overviews[i].resolution[0] <= resolution && overviews[i].resolution[0] > overviews[selected].resolution[0])
+      selected = i;
+
+  return selected;
+}
+
+// Pixels read around bbox for the cubic resampling of its edge pixels
+const windowMargin = 2;
+
+// [window, windowBbox] of the overview pixels covering bbox ([minX, minY, maxX, maxY], north up),
+// clipped to the image, or null outside of it. windowBbox is the exact extent of the window
+export function overviewWindow(overview, bbox) {
+  const [originX, originY] = overview.origin;
+  const [resolutionX, resolutionY] = overview.resolution;
+  const window = [
+    Math.max(Math.floor((bbox[0] - originX) / resolutionX) - windowMargin, 0),
+    Math.max(Math.floor((originY - bbox[3]) / resolutionY) - windowMargin, 0),
+    Math.min(Math.ceil((bbox[2] - originX) / resolutionX) + windowMargin, overview.width),
+    Math.min(Math.ceil((originY - bbox[1]) / resolutionY) + windowMargin, overview.height),
+  ];
+
+  if (window[0] >= window[2] || window[1] >= window[3])
+    return null;
+
+  const windowBbox = [
+    originX + window[0] * resolutionX,
+    originY - window[3] * resolutionY,
+    originX + window[2] * resolutionX,
+    originY - window[1] * resolutionY,
+  ];
+  return [window, windowBbox];
+}
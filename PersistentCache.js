@@ -0,0 +1,167 @@
+const dbName = "sentinel2-viewer-cache";
+const dbVersion = 1;
+export const cacheStores = Object.freeze(["tiles", "stac", "ranges"]);
+// lastAccess of an entry is written again only when it is older, so that reads rarely rewrite the values
+const accessUpdateInterval = 5 * 60 * 1000;
+
+let dbPromise = null;
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Calls onEntry for every cursor position, the returned promise resolves after the last one
+function iterateCursor(request, onEntry) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor == null) {
+        resolve();
+        return;
+      }
+
+      onEntry(cursor);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (dbPromise == null) {
+    const request = indexedDB.open(dbName, dbVersion);
+    request.onupgradeneeded = () => {
+      for (const storeName of cacheStores) {
+        const store = request.result.createObjectStore(storeName, { keyPath: "key" });
+        store.createIndex("lastAccess", "lastAccess");
+      }
+    };
+
+    dbPromise = promisifyRequest(request);
+  }
+
+  return dbPromise;
+}
+
+function valueSize(value) {
+  if (value instanceof Blob)
+    return value.size;
+  if (value?.image instanceof Blob)
+    return value.image.size;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value))
+    return value.byteLength;
+  if (value?.data instanceof ArrayBuffer)
+    return value.data.byteLength;
+
+  return JSON.stringify(value ?? null).length;
+}
+
+// IndexedDB key-value cache with a time to live and a size limit, the least recently used
+// entries are evicted first. Failures of IndexedDB (private mode, quota) degrade to cache misses
+export class PersistentCache {
+  #storeName = null;
+  #maxBytes = 0;
+  #ttl = 0;
+  #totalBytes = null;
+  #evicting = false;
+
+  constructor(storeName, { maxBytes, ttl }) {
+    this.#storeName = storeName;
+    this.#maxBytes = maxBytes;
+    this.#ttl = ttl;
+  }
+
+  // Expired entries are returned only with allowExpired, e.g. when the network is down
+  async get(key, allowExpired = false) {
+    try {
+      const db = await openDatabase();
+      const entry = await promisifyRequest(db.transaction(this.#storeName, "readonly").objectStore(this.#storeName).get(key));
+      if (entry == null)
+        return undefined;
+
+      const now = Date.now();
+      if (now - entry.created > this.#ttl && !allowExpired)
+        return undefined;
+
+      if (now - entry.lastAccess > accessUpdateInterval) {
+        entry.lastAccess = now;
+        db.transaction(this.#storeName, "readwrite").objectStore(this.#storeName).put(entry);
+      }
+      return entry.value;
+    } catch (error) {
+      console.log(`Persistent cache ${this.#storeName} read failed: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  async set(key, value) {
+    try {
+      const db = await openDatabase();
+      const now = Date.now();
+      const size = valueSize(value);
+      const store = db.transaction(this.#storeName, "readwrite").objectStore(this.#storeName);
+      await promisifyRequest(store.put({ key: key, value: value, size: size, created: now, lastAccess: now }));
+
+      if (this.#totalBytes != null)
+        this.#totalBytes += size;
+      if (this.#totalBytes == null || this.#totalBytes > this.#maxBytes)
+        await this.#evict();
+    } catch (error) {
+      console.log(`Persistent cache ${this.#storeName} write failed: ${error.message}`);
+    }
+  }
+
+  async clear() {
+    const db = await openDatabase();
+    await promisifyRequest(db.transaction(this.#storeName, "readwrite").objectStore(this.#storeName).clear());
+    this.#totalBytes = 0;
+  }
+
+  // Drops expired entries, then the least recently used ones until the store fits into 90% of maxBytes
+  async #evict() {
+    if (this.#evicting)
+      return;
+    this.#evicting = true;
+
+    try {
+      const db = await openDatabase();
+      const index = db.transaction(this.#storeName, "readwrite").objectStore(this.#storeName).index("lastAccess");
+      const now = Date.now();
+
+      // Entries are streamed one by one, the ranges store does not fit into memory
+      let totalBytes = 0;
+      await iterateCursor(index.openCursor(), cursor => totalBytes += cursor.value.size);
+      await iterateCursor(index.openCursor(), cursor => {
+        if (now - cursor.value.created <= this.#ttl && totalBytes <= this.#maxBytes * 0.9)
+          return;
+
+        totalBytes -= cursor.value.size;
+        cursor.delete();
+      });
+
+      this.#totalBytes = totalBytes;
+    } finally {
+      this.#evicting = false;
+    }
+  }
+}
+
+const hour = 60 * 60 * 1000;
+
+// Cells persisted in an older format are never read again and age out of the cache
+const cellCacheVersion = 3;
+
+// Key of a rendered cell, persisted as { image, dates, sceneIds, partial }. The layers share the tile cache
+// and often have the same params, so the key holds the layer type
+export function cellCacheKey(layerType, params, key) {
+  return `v${cellCacheVersion}/${layerType}/${JSON.stringify(params ?? {})}/${key}`;
+}
+
+// Rendered cells, STAC search responses and COG byte ranges
+// Cells without a date range change with every new acquisition, stale ones are still used offline
+export const tileCache = new PersistentCache("tiles", { maxBytes: 300 * 1024 * 1024, ttl: 2 * 24 * hour });
+export const stacCache = new PersistentCache("stac", { maxBytes: 20 * 1024 * 1024, ttl: 6 * hour });
+export const rangeCache = new PersistentCache("ranges", { maxBytes: 1024 * 1024 * 1024, ttl: 90 * 24 * hour });
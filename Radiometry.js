@@ -0,0 +1,142 @@
+// Display adjustments of the RGB layers, applied to the rendered 8-bit image.
+// stretch is null or [[low, high] per channel] in 0..255, e.g. percentiles of the visible tiles
+export const defaultRadiometry = Object.freeze({
+  brightness: 0,
+  contrast: 1,
+  gamma: 1,
+  saturation: 1,
+  autoStretch: false,
+  stretch: null,
+});
+
+// [min, max] of the adjustments, the sliders of RadiometryControl cover the same ranges
+export const radiometryRanges = Object.freeze({
+  brightness: [-0.5, 0.5],
+  contrast: [0.5, 2],
+  gamma: [0.5, 2.5],
+  saturation: [0, 2],
+});
+
+export const autoStretchPercentiles = [2, 98];
+
+function clamp(value, [min, max], defaultValue) {
+  return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : defaultValue;
+}
+
+export function createRadiometry({ brightness, contrast, gamma, saturation, autoStretch, stretch } = {}) {
+  const isStretchValid = Array.isArray(stretch) && stretch.length == 3 &&
+    stretch.every(range => Array.isArray(range) && range.length == 2 && range[0] < range[1]);
+
+  return {
+    brightness: clamp(brightness, radiometryRanges.brightness, defaultRadiometry.brightness),
+    contrast: clamp(contrast, radiometryRanges.contrast, defaultRadiometry.contrast),
+    gamma: clamp(gamma, radiometryRanges.gamma, defaultRadiometry.gamma),
+    saturation: clamp(saturation, radiometryRanges.saturation, defaultRadiometry.saturation),
+    autoStretch: autoStretch == true,
+    stretch: autoStretch == true && isStretchValid ? stretch : null,
+  };
+}
+
+// False when the adjustments leave the image as it is
+export function isRadiometrySet(radiometry) {
+  return radiometry != null && (radiometry.brightness != 0 || radiometry.contrast != 1 || radiometry.gamma != 1 ||
+    radiometry.saturation != 1 || radiometry.stretch != null);
+}
+
+// Lookup table of the stretch, contrast, brightness and gamma for every channel
+function createLookupTables(radiometry) {
+  return [0, 1, 2].map(channel => {
+    const table = new Uint8ClampedArray(256);
+    const [low, high] = radiometry.stretch?.[channel] ?? [0, 255];
+
+    for (let value = 0; value < 256; value++) {
+      let t = Math.min(Math.max((value - low) / Math.max(high - low, 1), 0), 1);
+      t = (t - 0.5) * radiometry.contrast + 0.5 + radiometry.brightness;
+      t = Math.min(Math.max(t, 0), 1);
+      table[value] = Math.round(255 * Math.pow(t, 1 / radiometry.gamma));
+    }
+
+    return table;
+  });
+}
+
+// Adjusts the pixels of the ImageData in place, transparent pixels are left out
+export function applyRadiometry(image, radiometry) {
+  if (!isRadiometrySet(radiometry))
+    return image;
+
+  const tables = createLookupTables(radiometry);
+  const saturation = radiometry.saturation;
+  const data = image.data;
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    if (data[offset + 3] == 0)
+      continue;
+
+    let red = tables[0][data[offset]];
+    let green = tables[1][data[offset + 1]];
+    let blue = tables[2][data[offset + 2]];
+
+    if (saturation != 1) {
+      const luma = 0.299 * red + 0.587 * green + 0.114 * blue;
+      red = luma + (red - luma) * saturation;
+      green = luma + (green - luma) * saturation;
+      blue = luma + (blue - luma) * saturation;
+    }
+
+    data[offset] = red;
+    data[offset + 1] = green;
+    data[offset + 2] = blue;
+  }
+
+  return image;
+}
+
+// 256 bins per channel of the opaque pixels, histograms of several tiles are summed with addHistogram
+export function imageHistogram(image) {
+  const histogram = new Uint32Array(3 * 256);
+  const data = image.data;
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    if (data[offset + 3] == 0)
+      continue;
+
+    histogram[data[offset]]++;
+    histogram[256 + data[offset + 1]]++;
+    histogram[512 + data[offset + 2]]++;
+  }
+
+  return histogram;
+}
+
+export function addHistogram(total, histogram) {
+  for (let i = 0; i < total.length; i++)
+    total[i] += histogram[i];
+  return total;
+}
+
+// [[low, high] per channel] of the lower and upper percentiles, null without pixels
+export function histogramStretch(histogram, [lower, upper] = autoStretchPercentiles) {
+  const stretch = [];
+
+  for (let channel = 0; channel < 3; channel++) {
+    const bins = histogram.subarray(channel * 256, (channel + 1) * 256);
+    const count = bins.reduce((sum, binCount) => sum + binCount, 0);
+    if (count == 0)
+      return null;
+
+    let low = 0;
+    let high = 255;
+    for (let value = 0, cumulative = 0; value < 256; value++) {
+      cumulative += bins[value];
+      if (cumulative <= count * lower / 100)
+        low = value + 1;
+      if (cumulative < count * upper / 100)
+        high = value + 1;
+    }
+
+    stretch.push([Math.min(low, 254), Math.max(Math.min(high, 255), Math.min(low, 254) + 1)]);
+  }
+
+  return stretch;
+}
@@ -0,0 +1,109 @@
+import { createRadiometry, defaultRadiometry, radiometryRanges } from './Radiometry.js';
+
+const sliders = [
+  { name: "brightness", label: "Brightness", step: 0.02 },
+  { name: "contrast", label: "Contrast", step: 0.05 },
+  { name: "gamma", label: "Gamma", step: 0.05 },
+  { name: "saturation", label: "Saturation", step: 0.05 },
+];
+
+// Brightness, contrast, gamma, saturation and auto-stretch of one of the RGB layers on the map.
+// radiometries maps the layer types to their radiometry, onChange(layerType, radiometry) is called
+// when a slider is released
+export class RadiometryControl extends L.Control {
+  #layerNames = null;
+  #radiometries = null;
+  #onChange = null;
+  #layerTypes = [];
+  #selectedLayerType = null;
+
+  constructor(layerNames, radiometries, onChange, options) {
+    super({ position: 'topright', ...options });
+    this.#layerNames = layerNames;
+    this.#radiometries = radiometries;
+    this.#onChange = onChange;
+  }
+
+  onAdd(map) {
+    const container = L.DomUtil.create('div', 'leaflet-bar date-range-control radiometry-control');
+    container.innerHTML = `
+      <label>Adjust <select name="layer"></select></label>
+      ${sliders.map(slider => `
+        <label>${slider.label}
+          <input type="range" name="${slider.name}" min="${radiometryRanges[slider.name][0]}" max="${radiometryRanges[slider.name][1]}" step="${slider.step}">
+        </label>`).join("")}
+      <label title="Stretch the colours between the 2nd and 98th percentile of the visible tiles">
+        <input type="checkbox" name="autoStretch"> Auto-stretch to view
+      </label>
+      <button type="button" name="reset">Reset</button>`;
+
+    const layerSelect = container.querySelector('select[name="layer"]');
+    layerSelect.addEventListener('change', () => {
+      this.#selectedLayerType = layerSelect.value;
+      this.#updateInputs(container);
+    });
+
+    for (const input of container.querySelectorAll('input'))
+      input.addEventListener('change', () => this.#onInputChange());
+
+    container.querySelector('button[name="reset"]').addEventListener('click', () => this.#setRadiometry(createRadiometry()));
+
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+    this.#render(container);
+    return container;
+  }
+
+  // layerTypes are the adjustable layers on the map, the top one first
+  setLayers(layerTypes) {
+    this.#layerTypes = layerTypes;
+    if (!layerTypes.includes(this.#selectedLayerType))
+      this.#selectedLayerType = layerTypes[0] ?? null;
+
+    if (this._container != null)
+      this.#render(this._container);
+  }
+
+  // Called after the radiometry of a layer changed outside of the control, e.g. a new auto-stretch
+  refresh() {
+    if (this._container != null)
+      this.#updateInputs(this._container);
+  }
+
+  #render(container) {
+    container.style.display = this.#layerTypes.length == 0 ? 'none' : '';
+
+    const layerSelect = container.querySelector('select[name="layer"]');
+    layerSelect.replaceChildren(...this.#layerTypes.map(layerType =>
+      new Option(this.#layerNames.get(layerType) ?? layerType, layerType)));
+    layerSelect.value = this.#selectedLayerType ?? "";
+
+    this.#updateInputs(container);
+  }
+
+  #updateInputs(container) {
+    const radiometry = this.#radiometries.get(this.#selectedLayerType) ?? defaultRadiometry;
+    for (const slider of sliders)
+      container.querySelector(`input[name="${slider.name}"]`).value = radiometry[slider.name];
+    container.querySelector('input[name="autoStretch"]').checked = radiometry.autoStretch;
+  }
+
+  #onInputChange() {
+    const current = this.#radiometries.get(this.#selectedLayerType) ?? defaultRadiometry;
+    const values = {};
+    for (const slider of sliders)
+      values[slider.name] = parseFloat(this._container.querySelector(`input[name="${slider.name}"]`).value);
+
+    const autoStretch = this._container.querySelector('input[name="autoStretch"]').checked;
+    this.#setRadiometry(createRadiometry({ ...values, autoStretch: autoStretch, stretch: current.stretch }));
+  }
+
+  #setRadiometry(radiometry) {
+    if (this.#selectedLayerType == null)
+      return;
+
+    this.#radiometries.set(this.#selectedLayerType, radiometry);
+    this.#updateInputs(this._container);
+    this.#onChange(this.#selectedLayerType, radiometry);
+  }
+}
@@ -0,0 +1,58 @@
+// Polygons of a GeoJSON Polygon or MultiPolygon geometry as arrays of rings
+export function geometryPolygons(geometry) {
+  if (geometry.type == "Polygon")
+    return [geometry.coordinates];
+  if (geometry.type == "MultiPolygon")
+    return geometry.coordinates;
+
+  throw new Error(`Unsupported geometry type ${geometry.type}`);
+}
+
+export function projectPolygons(polygons, project) {
+  return polygons.map(rings => rings.map(ring => ring.map(xy => project(xy))));
+}
+
+export function polygonsBbox(polygons) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const rings of polygons)
+    for (const [x, y] of rings[0]) {
+      bbox[0] = Math.min(bbox[0], x);
+      bbox[1] = Math.min(bbox[1], y);
+      bbox[2] = Math.max(bbox[2], x);
+      bbox[3] = Math.max(bbox[3], y);
+    }
+
+  return bbox;
+}
+
+// Even-odd scanline fill, a pixel belongs to the polygons when its center is inside.
+// bbox is [minX, minY, maxX, maxY] of a north-up raster, in the same CRS as the polygons
+export function rasterizePolygons(polygons, bbox, width, height) {
+  const mask = new Uint8Array(width * height);
+  const pixelWidth = (bbox[2] - bbox[0]) / width;
+  const pixelHeight = (bbox[3] - bbox[1]) / height;
+
+  for (const rings of polygons)
+    for (let row = 0; row < height; row++) {
+      const y = bbox[3] - (row + 0.5) * pixelHeight;
+      const crossings = [];
+
+      for (const ring of rings)
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          const [x1, y1] = ring[i];
+          const [x2, y2] = ring[j];
+          if ((y1 > y) != (y2 > y))
+            crossings.push(x1 + (y - y1) / (y2 - y1) * (x2 - x1));
+        }
+
+      crossings.sort((a, b) => a - b);
+
+      for (let k = 0; k + 1 < crossings.length; k += 2) {
+        const colStart = Math.max(Math.ceil((crossings[k] - bbox[0]) / pixelWidth - 0.5), 0);
+        const colEnd = Math.min(Math.floor((crossings[k + 1] - bbox[0]) / pixelWidth - 0.5), width - 1);
+        mask.fill(1, row * width + colStart, row * width + colEnd + 1);
+      }
+    }
+
+  return mask;
+}
@@ -1,15 +1,37 @@
 import * as turf from 'https://esm.sh/@turf/turf@7/turf.min.js';
+import QuickLRU from 'https://esm.sh/quick-lru';
+import { getStacProvider, normalizeStacItem, fetchStacJson } from './STACProvider.js';
+import { stacCache } from './PersistentCache.js';
+import { createSceneFilter, toStacQuery, isSceneExcluded } from './SceneFilter.js';
 
 const bboxCoverageThr = 1 - 1e-4;
+const maxCachedItems = 5000;
+const maxFetchedItems = 100;
+
+// fetcher(url, body) returns the parsed response, a GET request when body == null
+let stacFetcher = fetchStacJson;
+
+export function setStacFetcher(fetcher) {
+  stacFetcher = fetcher;
+}
 
 export default class STACCatalog {
-  #stacCache = new Map();
+  #stacCache = new QuickLRU({ maxSize: maxCachedItems });
+  // Items fetched by id, e.g. pinned scenes, are kept apart so that the automatic scene choice
+  // never draws items outside of the catalog filters
+  #fetchedItems = new QuickLRU({ maxSize: maxFetchedItems });
   #pendingQueries = [];
   #batching = false;
+  #provider = null;
   #maxCloudCoverage = null;
+  #datetime = null;
+  #sceneFilter = null;
 
-  constructor(maxCloudCoverage = 10) {
+  constructor(maxCloudCoverage = 10, datetime = null, provider = getStacProvider(null), sceneFilter = createSceneFilter()) {
+    this.#provider = provider;
     this.#maxCloudCoverage = maxCloudCoverage;
+    this.#datetime = datetime;
+    this.#sceneFilter = sceneFilter;
   }
 
   async fetchLatestS2(topLeft, bottomRight) {
@@ -72,7 +94,7 @@ export default class STACCatalog {
 
     tilesIndexes.sort((a, b) => {
       if (a.datetime != b.datetime)
-        return b.datetime - a.datetime;
+        return b.datetime.localeCompare(a.datetime);
       return b.intersectRatio - a.intersectRatio;
     })
 
@@ -93,6 +115,28 @@ export default class STACCatalog {
     return [selectedStacItems, bboxIntersectionRatio];
   }
 
+  findIntersectingItems(topLeft, bottomRight) {
+    const bboxPolygon = turf.bboxPolygon([topLeft.lng, bottomRight.lat, bottomRight.lng, topLeft.lat]);
+    const items = [];
+
+    for (const item of this.#stacCache.values())
+      if (turf.booleanIntersects(bboxPolygon, turf.polygon(item.geometry.coordinates)))
+        items.push(item);
+
+    return items.sort((a, b) => b.properties.datetime.localeCompare(a.properties.datetime));
+  }
+
+  async fetchItem(id) {
+    if (this.#stacCache.has(id))
+      return this.#stacCache.get(id);
+
+    if (!this.#fetchedItems.has(id))
+      this.#fetchedItems.set(id, normalizeStacItem(this.#provider,
+        await this.searchStac(null, `${this.#provider.url}/collections/${this.#provider.collection}/items/${encodeURIComponent(id)}`)));
+
+    return this.#fetchedItems.get(id);
+  }
+
   async fetchLatestS2StacItems(topLeft, bottomRight, disableBatching = false) {
     if (disableBatching)
       return this.fetchLatestS2StacItemsInternal(topLeft, bottomRight);
@@ -134,32 +178,82 @@ export default class STACCatalog {
   async fetchLatestS2StacItemsInternal(topLeft, bottomRight) {
     const squareDegrees = Math.abs(topLeft.lat - bottomRight.lat) * Math.abs(topLeft.lng - bottomRight.lng);
     const maxItems = Math.max(10, Math.min(100, Math.round(squareDegrees*20) ) );
+    const data = await this.searchStac(this.createSearchBody(topLeft, bottomRight, maxItems));
+
+    return data.features;
+  }
+
+  // Every item over the bbox and the catalog date range, following the result pages up to maxItems.
+  // An aborted signal stops at the next page
+  async fetchAllS2StacItems(topLeft, bottomRight, maxItems = 500, signal = null) {
+    let body = this.createSearchBody(topLeft, bottomRight, Math.min(maxItems, 100));
+    let data = await this.searchStac(body);
+    const stacItems = [...data.features];
+
+    let nextLink = data.links?.find(link => link.rel == "next");
+    while (nextLink != null && stacItems.length < maxItems) {
+      signal?.throwIfAborted();
+      if (nextLink.method == "POST") {
+        body = nextLink.merge ? { ...body, ...nextLink.body } : nextLink.body;
+        data = await this.searchStac(body, nextLink.href);
+      } else
+        data = await this.searchStac(null, nextLink.href);
+
+      stacItems.push(...data.features);
+      nextLink = data.links?.find(link => link.rel == "next");
+    }
+
+    for (const stacItem of stacItems)
+      if (!this.#stacCache.has(stacItem.id))
+        this.#stacCache.set(stacItem.id, stacItem);
+
+    return stacItems.slice(0, maxItems);
+  }
+
+  createSearchBody(topLeft, bottomRight, maxItems) {
     const body = {
-      collections: ["sentinel-2-l2a"],
+      collections: [this.#provider.collection],
       bbox: [topLeft.lng, bottomRight.lat, bottomRight.lng, topLeft.lat],
-      query: {
-        "eo:cloud_cover": {
-          lte: this.#maxCloudCoverage,
-        },
-      },
+      query: toStacQuery(this.#sceneFilter, this.#maxCloudCoverage),
       limit: maxItems,
       // sortby: "-properties.datetime",
       sortby: [{ field: 'datetime', direction: 'desc' }],
     };
 
-    const res = await fetch(
-      // "https://earth-search.aws.element84.com/v1/search",
-      "https://planetarycomputer.microsoft.com/api/stac/v1/search",
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
+    if (this.#datetime != null)
+      body.datetime = this.#datetime;
+
+    return body;
+  }
+
+  // body == null makes a GET request of url, the returned features are normalized to the viewer asset keys.
+  // Responses are kept in the persistent cache, expired ones are used when the request fails
+  async searchStac(body, url = `${this.#provider.url}/search`) {
+    const cacheKey = `${url} ${JSON.stringify(body)}`;
+    let data = await stacCache.get(cacheKey);
+
+    if (data == null) {
+      try {
+        data = await stacFetcher(url, body);
+        // The raw response is stored, it is normalized and filtered by the scene filter of each catalog
+        stacCache.set(cacheKey, structuredClone(data));
+      } catch (error) {
+        data = await stacCache.get(cacheKey, true);
+        if (data == null)
+          throw error;
+
+        console.log(`Using expired STAC response: ${error.message}`);
       }
-    );
+    }
 
-    if (!res.ok) throw new Error("STAC query failed: " + res.status);
-    const data = await res.json();
+    if (data.features == null)
+      return data;
 
-    return data.features;
+    return {
+      ...data,
+      features: data.features
+        .map(stacItem => normalizeStacItem(this.#provider, stacItem))
+        .filter(stacItem => !isSceneExcluded(this.#sceneFilter, stacItem)),
+    };
   }
-}
\ No newline at end of file
+}
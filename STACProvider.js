@@ -0,0 +1,195 @@
+// STAC backends serving Sentinel-2 L2A. assets maps the asset keys used by the viewer
+// (visual, B01…B12, SCL, thumbnail) to the keys of the provider, missing keys are used as is.
+// Band files must be Cloud Optimized GeoTIFFs readable by geotiff.js
+export const STACProviders = Object.freeze({
+  planetaryComputer: {
+    name: "Microsoft Planetary Computer",
+    url: "https://planetarycomputer.microsoft.com/api/stac/v1",
+    collection: "sentinel-2-l2a",
+    assets: {},
+    signing: { type: "mspcSasToken", tokenUrl: "https://planetarycomputer.microsoft.com/api/sas/v1/token/sentinel-2-l2a" },
+  },
+  earthSearch: {
+    name: "Element84 Earth Search",
+    url: "https://earth-search.aws.element84.com/v1",
+    collection: "sentinel-2-l2a",
+    assets: {
+      B01: "coastal", B02: "blue", B03: "green", B04: "red", B05: "rededge1", B06: "rededge2", B07: "rededge3",
+      B08: "nir", B8A: "nir08", B09: "nir09", B11: "swir16", B12: "swir22", SCL: "scl",
+    },
+    signing: { type: "none" },
+  },
+  copernicusDataSpace: {
+    name: "Copernicus Data Space",
+    url: "https://stac.dataspace.copernicus.eu/v1",
+    collection: "sentinel-2-l2a",
+    assets: {
+      visual: "TCI_10m", B01: "B01_60m", B02: "B02_10m", B03: "B03_10m", B04: "B04_10m", B05: "B05_20m", B06: "B06_20m",
+      B07: "B07_20m", B08: "B08_10m", B8A: "B8A_20m", B09: "B09_60m", B11: "B11_20m", B12: "B12_20m", SCL: "SCL_20m",
+    },
+    // Asset hrefs are s3:// urls, the https alternate needs the access token of a Copernicus account,
+    // entered in the viewer and handed to the workers with setProviderToken
+    alternateHref: "https",
+    signing: { type: "bearerToken" },
+  },
+  selfHosted: {
+    name: "Self-hosted pgstac",
+    url: "/stac",
+    collection: "sentinel-2-l2a",
+    assets: {},
+    signing: { type: "none" },
+  },
+});
+
+export const defaultStacProviderId = "planetaryComputer";
+
+export function getStacProvider(providerId) {
+  const id = Object.hasOwn(STACProviders, providerId ?? "") ? providerId : defaultStacProviderId;
+  return { ...STACProviders[id], id: id };
+}
+
+// body == null makes a GET request of url
+export async function fetchStacJson(url, body) {
+  const res = await fetch(
+    url,
+    body == null ? {} : {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }
+  );
+
+  if (!res.ok) throw new Error("STAC query failed: " + res.status);
+  return res.json();
+}
+
+// Renames the provider assets to the viewer keys, picks the alternate hrefs and fills in
+// the properties the viewer relies on ("proj:epsg", "s2:mgrs_tile")
+export function normalizeStacItem(provider, stacItem) {
+  const assets = { ...stacItem.assets };
+  for (const [key, providerKey] of Object.entries(provider.assets))
+    if (stacItem.assets[providerKey] != null)
+      assets[key] = stacItem.assets[providerKey];
+
+  if (provider.alternateHref != null)
+    for (const [key, asset] of Object.entries(assets))
+      if (asset.alternate?.[provider.alternateHref] != null)
+        assets[key] = { ...asset, href: asset.alternate[provider.alternateHref].href };
+
+  const properties = { ...stacItem.properties };
+  const projCode = properties["proj:code"] ?? assets.B04?.["proj:code"];
+  properties["proj:epsg"] ??= assets.B04?.["proj:epsg"] ?? (projCode != null ? parseInt(projCode.split(":")[1]) : null);
+  properties["s2:mgrs_tile"] ??= properties["grid:code"]?.replace(/^MGRS-/, "");
+
+  return { ...stacItem, assets: assets, properties: properties, provider: provider.id };
+}
+
+class NoUrlSigner {
+  get version() {
+    return null;
+  }
+
+  signUrl(href) {
+    return href;
+  }
+
+  headers() {
+    return {};
+  }
+}
+
+// Planetary Computer SAS token of the collection, refreshed before it expires
+class MspcSasTokenSigner {
+  #tokenUrl = null;
+  #token = null;
+
+  constructor(tokenUrl) {
+    this.#tokenUrl = tokenUrl;
+    this.#updateToken();
+  }
+
+  get version() {
+    return this.#token;
+  }
+
+  signUrl(href) {
+    return `${href}?${this.#token}`;
+  }
+
+  headers() {
+    return {};
+  }
+
+  async #updateToken() {
+    try {
+      const signResp = await fetch(`${this.#tokenUrl}?write=false`, {
+        method: "GET",
+        headers: { "Content-Type": "application/json" },
+      });
+
+      const result = await signResp.json();
+      this.#token = result.token;
+    } catch (error) {
+      setTimeout(() => this.#updateToken(), 1000);
+      return;
+    }
+
+    console.log("MSPC SAS token refreshed");
+    setTimeout(() => this.#updateToken(), 45 * 60 * 1000);
+  }
+}
+
+// Access token of a user account, the reads fail until one is set
+class BearerTokenSigner {
+  #token = null;
+
+  get version() {
+    return this.#token;
+  }
+
+  setToken(token) {
+    this.#token = token;
+  }
+
+  signUrl(href) {
+    return href;
+  }
+
+  headers() {
+    if (this.#token == null)
+      throw new Error("The catalog needs an access token");
+
+    return { Authorization: `Bearer ${this.#token}` };
+  }
+}
+
+const urlSigners = new Map();
+
+// One signer per provider, version changes whenever the signature of the urls changes
+export function getUrlSigner(provider) {
+  if (!urlSigners.has(provider.id)) {
+    const signing = provider.signing;
+    let signer = null;
+    if (signing.type == "mspcSasToken")
+      signer = new MspcSasTokenSigner(signing.tokenUrl);
+    else if (signing.type == "bearerToken")
+      signer = new BearerTokenSigner();
+    else
+      signer = new NoUrlSigner();
+
+    urlSigners.set(provider.id, signer);
+  }
+
+  return urlSigners.get(provider.id);
+}
+
+export function isTokenProvider(providerId) {
+  return getStacProvider(providerId).signing.type == "bearerToken";
+}
+
+// token is null to remove it
+export function setProviderToken(providerId, token) {
+  const provider = getStacProvider(providerId);
+  if (provider.signing.type == "bearerToken")
+    getUrlSigner(provider).setToken(token);
+}
@@ -0,0 +1,119 @@
+// Side panel listing the STAC items over the view, hovering a row outlines the scene footprint.
+// onPinChange(sceneId) is called with the pinned scene id, or null when the scene is unpinned
+export class SceneBrowserPanel {
+  #map = null;
+  #container = null;
+  #footprint = null;
+  #pinnedSceneId = null;
+  #onPinChange = null;
+
+  constructor(map, pinnedSceneId, onPinChange) {
+    this.#map = map;
+    this.#pinnedSceneId = pinnedSceneId;
+    this.#onPinChange = onPinChange;
+
+    this.#container = document.createElement('div');
+    this.#container.className = 'scene-browser-panel';
+    this.#container.innerHTML = `
+      <div class="scene-browser-header">
+        <span>Scenes in view</span>
+        <button type="button" name="close" title="Close">×</button>
+      </div>
+      <div class="scene-browser-status"></div>
+      <div class="scene-browser-list"></div>`;
+
+    this.#container.querySelector('button[name="close"]').addEventListener('click', () => this.close());
+    L.DomEvent.disableScrollPropagation(this.#container);
+    document.body.appendChild(this.#container);
+  }
+
+  isOpen() {
+    return this.#container.classList.contains('open');
+  }
+
+  open() {
+    this.#container.classList.add('open');
+  }
+
+  close() {
+    this.#container.classList.remove('open');
+    this.#showFootprint(null);
+  }
+
+  getPinnedSceneId() {
+    return this.#pinnedSceneId;
+  }
+
+  pin(sceneId) {
+    this.#setPinnedSceneId(sceneId);
+  }
+
+  unpin() {
+    this.#setPinnedSceneId(null);
+  }
+
+  setStatus(text) {
+    this.#container.querySelector('.scene-browser-status').textContent = text;
+  }
+
+  setScenes(scenes) {
+    const list = this.#container.querySelector('.scene-browser-list');
+    list.replaceChildren(...scenes.map(scene => this.#createRow(scene)));
+    this.#showFootprint(null);
+
+    const pinnedText = this.#pinnedSceneId != null ? `, pinned ${this.#pinnedSceneId}` : "";
+    this.setStatus(`${scenes.length} scenes${pinnedText}`);
+  }
+
+  #createRow(scene) {
+    const row = document.createElement('div');
+    row.className = 'scene-browser-row';
+    row.classList.toggle('used', scene.used);
+    row.classList.toggle('pinned', scene.id == this.#pinnedSceneId);
+    row.innerHTML = `
+      <img loading="lazy" alt="">
+      <div class="scene-browser-info">
+        <div>${scene.datetime.split('T')[0]} ${scene.datetime.split('T')[1].slice(0, 5)} UTC</div>
+        <div>Cloud cover ${scene.cloudCover?.toFixed(1) ?? "–"}%</div>
+        <div>Tile ${scene.mgrsTile ?? "–"}${scene.used ? ", shown" : ""}</div>
+      </div>
+      <button type="button" name="pin"></button>`;
+
+    const thumbnail = row.querySelector('img');
+    if (scene.thumbnail != null)
+      thumbnail.src = scene.thumbnail;
+    else
+      thumbnail.style.visibility = 'hidden';
+
+    const pinButton = row.querySelector('button[name="pin"]');
+    pinButton.textContent = scene.id == this.#pinnedSceneId ? "Unpin" : "Pin";
+    pinButton.title = scene.id;
+    pinButton.addEventListener('click', () => this.#setPinnedSceneId(scene.id == this.#pinnedSceneId ? null : scene.id));
+
+    row.addEventListener('mouseenter', () => this.#showFootprint(scene.geometry));
+    row.addEventListener('mouseleave', () => this.#showFootprint(null));
+    return row;
+  }
+
+  #setPinnedSceneId(sceneId) {
+    this.#pinnedSceneId = sceneId;
+    for (const row of this.#container.querySelectorAll('.scene-browser-row')) {
+      const isPinned = row.querySelector('button[name="pin"]').title == sceneId;
+      row.classList.toggle('pinned', isPinned);
+      row.querySelector('button[name="pin"]').textContent = isPinned ? "Unpin" : "Pin";
+    }
+
+    this.#onPinChange(sceneId);
+  }
+
+  #showFootprint(geometry) {
+    this.#footprint?.remove();
+    this.#footprint = null;
+
+    if (geometry != null)
+      this.#footprint = L.geoJSON(geometry, {
+        style: { color: '#e67e22', weight: 2, fill: false },
+        interactive: false,
+      }).addTo(this.#map);
+  }
+}
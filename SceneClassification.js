@@ -0,0 +1,49 @@
+export const SceneClasses = Object.freeze({
+  0: "No data",
+  1: "Saturated or defective",
+  2: "Dark area pixels",
+  3: "Cloud shadows",
+  4: "Vegetation",
+  5: "Not vegetated",
+  6: "Water",
+  7: "Unclassified",
+  8: "Cloud medium probability",
+  9: "Cloud high probability",
+  10: "Thin cirrus",
+  11: "Snow or ice",
+});
+
+// Palette of the ESA SNAP scene classification view
+export const SceneClassColors = Object.freeze({
+  0: "#000000",
+  1: "#ff0000",
+  2: "#2f2f2f",
+  3: "#643200",
+  4: "#00a000",
+  5: "#ffe65a",
+  6: "#0000ff",
+  7: "#808080",
+  8: "#c0c0c0",
+  9: "#ffffff",
+  10: "#64c8ff",
+  11: "#ff96ff",
+});
+
+export const MaskedSceneClasses = Object.freeze([0, 1, 3, 8, 9, 10, 11]);
+
+const maskedClassLookup = new Uint8Array(256);
+for (const sceneClass of MaskedSceneClasses)
+  maskedClassLookup[sceneClass] = 1;
+
+export function isMaskedSceneClass(sceneClass) {
+  return maskedClassLookup[sceneClass] == 1;
+}
+
+// L2A products on the STAC catalogs do not ship the cloud probability raster (MSK_CLDPRB),
+// so it is approximated from the scene classes
+const cloudProbabilityLookup = new Float32Array(256);
+cloudProbabilityLookup.set([1, 1, 0.1, 0.7, 0, 0, 0, 0.3, 0.6, 1, 0.4, 0.5]);
+
+export function sceneClassCloudProbability(sceneClass) {
+  return cloudProbabilityLookup[sceneClass];
+}
@@ -0,0 +1,61 @@
+// Values of the STAC "platform" property, providers differ in the letter case
+export const Sentinel2Platforms = Object.freeze({
+  S2A: "Sentinel-2A",
+  S2B: "Sentinel-2B",
+  S2C: "Sentinel-2C",
+});
+
+const mgrsTilePattern = /^\d{1,2}[C-X][A-Z]{2}$/;
+
+function clampPercent(value) {
+  return Number.isFinite(value) ? Math.min(Math.max(value, 0), 100) : null;
+}
+
+// Splits a comma or space separated list of the filter inputs and urls
+export function splitFilterList(text) {
+  return (text ?? "").split(/[\s,;]+/).filter(item => item != "");
+}
+
+// Scene filters on top of the date range. maxCloudCoverage == null keeps the threshold of the layer,
+// an empty platforms list keeps every platform. Lists are sorted so that equal filters give equal cache keys
+export function createSceneFilter({ maxCloudCoverage = null, minDataCoverage = 0, excludedTiles = [], excludedOrbits = [], platforms = [] } = {}) {
+  const tiles = excludedTiles.map(tile => tile.toUpperCase().replace(/^T/, "")).filter(tile => mgrsTilePattern.test(tile));
+  const orbits = excludedOrbits.map(orbit => parseInt(orbit)).filter(orbit => orbit >= 1 && orbit <= 143);
+  const platformIds = platforms.filter(platform => Object.hasOwn(Sentinel2Platforms, platform));
+
+  return {
+    maxCloudCoverage: clampPercent(maxCloudCoverage),
+    minDataCoverage: clampPercent(minDataCoverage) ?? 0,
+    excludedTiles: [...new Set(tiles)].sort(),
+    excludedOrbits: [...new Set(orbits)].sort((a, b) => a - b),
+    platforms: platformIds.length == Object.keys(Sentinel2Platforms).length ? [] : [...new Set(platformIds)].sort(),
+  };
+}
+
+export function isSceneFilterSet(filter) {
+  return filter != null && (filter.maxCloudCoverage != null || filter.minDataCoverage > 0 ||
+    filter.excludedTiles.length > 0 || filter.excludedOrbits.length > 0 || filter.platforms.length > 0);
+}
+
+// STAC query extension filters. The extension has no "not in" operator, the excluded tiles and
+// orbits are dropped from the search results by isSceneExcluded
+export function toStacQuery(filter, defaultMaxCloudCoverage) {
+  const query = {
+    "eo:cloud_cover": {
+      lte: filter.maxCloudCoverage ?? defaultMaxCloudCoverage,
+    },
+  };
+
+  if (filter.minDataCoverage > 0)
+    query["s2:nodata_pixel_percentage"] = { lte: 100 - filter.minDataCoverage };
+  if (filter.platforms.length > 0)
+    query.platform = { in: filter.platforms.flatMap(platform => [Sentinel2Platforms[platform], Sentinel2Platforms[platform].toLowerCase()]) };
+
+  return query;
+}
+
+// stacItem must be normalized (normalizeStacItem) so that "s2:mgrs_tile" is set
+export function isSceneExcluded(filter, stacItem) {
+  return filter.excludedTiles.includes(stacItem.properties["s2:mgrs_tile"]) ||
+    filter.excludedOrbits.includes(stacItem.properties["sat:relative_orbit"]);
+}
@@ -1,6 +1,13 @@
+import { histogramStretch } from './Radiometry.js';
+
+let lastInstanceId = 0;
+
 export class Sentinel2GridLayer extends L.GridLayer {
   #worker = null;
+  #instanceId = ++lastInstanceId;
   #tileInfo = new Map();
+  #params = {};
+  #footprintsRequestId = 0;
   _layerId = null;
 
   constructor(options, worker, layerType) {
@@ -16,6 +23,40 @@ export class Sentinel2GridLayer extends L.GridLayer {
     });
   }
 
+  onAdd(map) {
+    map.on('moveend', this.postViewport, this);
+    this.postViewport();
+    super.onAdd(map);
+  }
+
+  onRemove(map) {
+    map.off('moveend', this.postViewport, this);
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "viewport",
+      tileRange: null,
+    });
+    super.onRemove(map);
+  }
+
+  getParams() {
+    return this.#params;
+  }
+
+  // Params equal to the current ones keep the drawn tiles
+  setParams(params) {
+    const newParams = { ...this.#params, ...params };
+    if (JSON.stringify(newParams) == JSON.stringify(this.#params))
+      return;
+
+    this.#params = newParams;
+    if (this._map != null) {
+      this.postViewport();
+      this.redraw();
+    }
+  }
+
   createTile(coords, done) {
     console.log(`Start loading x = ${coords.x} y = ${coords.y} z = ${coords.z}`);
 
@@ -26,6 +67,25 @@ export class Sentinel2GridLayer extends L.GridLayer {
     tile.width = tileSize.x;
     tile.height = tileSize.y;
 
+    this.#tileInfo.set(key, {
+      canvas: tile,
+      tileSize: tileSize,
+      doneCallback: done,
+    });
+
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "createTile",
+      ...this.getCellInfo(coords),
+      params: this.#params,
+    });
+
+    return tile;
+  }
+
+  getCellInfo(coords) {
+    const tileSize = this.getTileSize();
     const coordsTopLeft = this._map.unproject(
       [coords.x * tileSize.x, coords.y * tileSize.y], coords.z
     );
@@ -40,30 +100,83 @@ export class Sentinel2GridLayer extends L.GridLayer {
       [coordsTopLeft.lng, coordsBottomRight.lat],
     ];
 
-    this.#tileInfo.set(key, {
-      canvas: tile,
-      tileSize: tileSize,
-      doneCallback: done,
-    });
-
-    this.#worker.postMessage({
-      layerType: this._layerId,
-      type: "createTile",
-      key: key,
+    return {
+      key: `${coords.z}/${coords.x}/${coords.y}`,
       coords: coords,
       coordsTopLeft: coordsTopLeft,
       coordsBottomRight: coordsBottomRight,
       cellCoords: cellCoords,
       tileSize: tileSize,
+    };
+  }
+
+  // Tiles of bounds for every native zoom between minZoom and maxZoom
+  getTileCoords(bounds, minZoom, maxZoom) {
+    const tileSize = this.getTileSize();
+    const tileCoords = [];
+
+    for (let z = Math.max(minZoom, this.options.minNativeZoom); z <= Math.min(maxZoom, this.options.maxNativeZoom); z++) {
+      const topLeft = this._map.project(bounds.getNorthWest(), z).unscaleBy(tileSize).floor();
+      const bottomRight = this._map.project(bounds.getSouthEast(), z).unscaleBy(tileSize).floor();
+
+      for (let x = topLeft.x; x <= bottomRight.x; x++)
+        for (let y = topLeft.y; y <= bottomRight.y; y++)
+          tileCoords.push({ x: x, y: y, z: z });
+    }
+
+    return tileCoords;
+  }
+
+  // Renders the cells into the persistent tile cache without drawing them
+  precacheTiles(tileCoords) {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "precacheTiles",
+      cells: tileCoords.map(coords => this.getCellInfo(coords)),
+      params: this.#params,
     });
+  }
 
-    return tile;
+  cancelPrecache() {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "cancelPrecache",
+    });
+  }
+
+  // The tiles of the view at the native zoom, the worker loads the cells nearest to its centre first
+  // and prefetches the cells around it when idle. Outside of the zooms of the layer there is no view
+  postViewport() {
+    const map = this._map;
+    const zoom = Math.round(map.getZoom());
+    const tileZoom = Math.min(Math.max(zoom, this.options.minNativeZoom ?? zoom), this.options.maxNativeZoom ?? zoom);
+    const isVisible = zoom >= this.options.minZoom && zoom <= this.options.maxZoom;
+
+    const tileSize = this.getTileSize();
+    const scale = map.getZoomScale(map.getZoom(), tileZoom);
+    const center = map.project(map.getCenter(), tileZoom).unscaleBy(tileSize);
+    const halfSize = map.getSize().divideBy(scale * 2).unscaleBy(tileSize);
+
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "viewport",
+      zoom: tileZoom,
+      maxZoom: Math.min(this.options.maxNativeZoom ?? this.options.maxZoom, this.options.maxZoom),
+      center: center,
+      tileRange: isVisible ? { min: center.subtract(halfSize).floor(), max: center.add(halfSize).floor() } : null,
+      tileSize: tileSize,
+      params: this.#params,
+    });
   }
 
   unloadTile(coords) {
     const key = `${coords.z}/${coords.x}/${coords.y}`;
     this.#worker.postMessage({
       layerType: this._layerId,
+      instanceId: this.#instanceId,
       type: "unloadTile",
       key: key,
       coords: coords
@@ -74,12 +187,95 @@ export class Sentinel2GridLayer extends L.GridLayer {
   refreshImagesDatesInfo() {
     this.#worker.postMessage({
       layerType: this._layerId,
+      instanceId: this.#instanceId,
       type: "getImagesDates"
     });
   }
 
+  requestSceneList(bounds) {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "getSceneList",
+      topLeft: bounds.getNorthWest(),
+      bottomRight: bounds.getSouthEast(),
+      params: this.#params,
+    });
+  }
+
+  // Footprints of the newest scenes over bounds, answered by a footprints event.
+  // Answers of the previous requests are dropped
+  requestFootprints(bounds) {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      requestId: ++this.#footprintsRequestId,
+      type: "getFootprints",
+      topLeft: bounds.getNorthWest(),
+      bottomRight: bounds.getSouthEast(),
+      params: this.#params,
+    });
+  }
+
+  inspectPixel(latlng) {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "inspectPixel",
+      lngLat: [latlng.lng, latlng.lat],
+      params: this.#params,
+    });
+  }
+
+  // geometry is a GeoJSON Point, Polygon or MultiPolygon,
+  // options are { index, dateRange, maxCloudCoverage, sceneClassFilter }
+  requestTimeSeries(geometry, options) {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "getTimeSeries",
+      geometry: geometry,
+      ...options,
+    });
+  }
+
+  // geometry is a GeoJSON Polygon or MultiPolygon, statistics are computed with the current layer params
+  requestZonalStats(geometry) {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "getZonalStats",
+      geometry: geometry,
+      params: this.#params,
+    });
+  }
+
+  // bbox is [minLng, minLat, maxLng, maxLat], the export is clipped to geometry when it is set
+  exportImage(bbox, geometry, format, fileName) {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "exportImage",
+      bbox: bbox,
+      geometry: geometry,
+      format: format,
+      fileName: fileName,
+      params: this.#params,
+    });
+  }
+
+  // Percentiles of the visible tiles before their display adjustments, answered by a viewportStretch event
+  requestViewportStretch(percentiles) {
+    this.#worker.postMessage({
+      layerType: this._layerId,
+      instanceId: this.#instanceId,
+      type: "getViewportStretch",
+      percentiles: percentiles,
+    });
+  }
+
   handleWorkerMessage(pkg) {
-    if (pkg.layerType != this._layerId)
+    if (pkg.instanceId != this.#instanceId)
       return;
 
     if (pkg.type == "done") {
@@ -110,5 +306,56 @@ export class Sentinel2GridLayer extends L.GridLayer {
         this.fire("imagesDatesUpdated", {"dates": imagesDatesStr});
       }
     }
+    else if (pkg.type == "inspectPixel") {
+      this.fire("pixelInspected", {
+        latlng: L.latLng(pkg.lngLat[1], pkg.lngLat[0]),
+        pixel: pkg.pixel,
+        error: pkg.error,
+      });
+    }
+    else if (pkg.type == "getTimeSeries") {
+      if (pkg.progress != null)
+        this.fire("timeSeriesProgress", pkg.progress);
+      else
+        this.fire("timeSeries", {
+          indexName: pkg.indexName,
+          series: pkg.series,
+          error: pkg.error,
+        });
+    }
+    else if (pkg.type == "precacheTiles") {
+      this.fire("precacheProgress", pkg.progress);
+    }
+    else if (pkg.type == "getSceneList") {
+      this.fire("sceneList", {
+        scenes: pkg.scenes,
+        error: pkg.error,
+      });
+    }
+    else if (pkg.type == "getFootprints") {
+      if (pkg.requestId != this.#footprintsRequestId)
+        return;
+
+      this.fire("footprints", {
+        footprints: pkg.footprints,
+        error: pkg.error,
+      });
+    }
+    else if (pkg.type == "exportImage") {
+      this.fire("imageExported", {
+        files: pkg.files,
+        resolution: pkg.resolution,
+        error: pkg.error,
+      });
+    }
+    else if (pkg.type == "getViewportStretch") {
+      this.fire("viewportStretch", { stretch: histogramStretch(pkg.histogram, pkg.percentiles) });
+    }
+    else if (pkg.type == "getZonalStats") {
+      this.fire("zonalStats", {
+        stats: pkg.stats,
+        error: pkg.error,
+      });
+    }
   }
 }
@@ -1,35 +1,123 @@
-import { fromUrl, Pool } from 'https://esm.sh/geotiff';
+import { fromCustomClient, Pool, writeArrayBuffer } from 'https://esm.sh/geotiff';
 import proj4 from 'https://esm.sh/proj4';
 import * as turf from 'https://esm.sh/@turf/turf@7/turf.min.js';
 import QuickLRU from 'https://esm.sh/quick-lru';
-import STACCatalog from './STACCatalog.js';
+import STACCatalog, { setStacFetcher } from './STACCatalog.js';
 import { LayerType } from './LayerType.js';
+import { toStacDatetime, isDateRangeSet } from './DateRange.js';
+import { getStacProvider, getUrlSigner, setProviderToken, isTokenProvider } from './STACProvider.js';
+import { tileCache, cellCacheKey } from './PersistentCache.js';
+import { createSceneFilter } from './SceneFilter.js';
+import { CachingClient } from './CachingClient.js';
+import { getSpectralIndex, BandAssets } from './SpectralIndex.js';
+import { getColormap, applyColormap } from './Colormap.js';
+import { BandComposites, compositeStretchRanges, stretchValue } from './BandComposite.js';
+import { geometryPolygons, projectPolygons, polygonsBbox, rasterizePolygons } from './Rasterize.js';
+import { mercatorPixelToLngLat, linearPixelToLngLat, createWarpGrid, warpGridBbox, warpRaster, defaultResampling } from './Warp.js';
+import { selectOverview, overviewWindow } from './Overview.js';
+import { applyRadiometry, isRadiometrySet, imageHistogram, addHistogram } from './Radiometry.js';
+import { PrioritySemaphore, cellPriority, prefetchCoords, mercatorTileCell } from './TileScheduler.js';
+import { tileWorkerIndex } from './WorkerPool.js';
+import { SceneClasses, SceneClassColors, isMaskedSceneClass, sceneClassCloudProbability } from './SceneClassification.js';
+import { ChangeClasses, classifyChange, countChangeClasses, createChangeThresholds, changeColormap, changeDisplayRange, previousYearDateRange } from './ChangeDetection.js';
 
-let mspcSasToken = null;
 let tiffUnpackPool = new Pool();
+const maxCloudMaskedItems = 8;
+const maxTemporalCompositeScenes = 10;
+const maxTimeSeriesItems = 400;
+const maxGeometryPixels = 512 * 512;
+const minTimeSeriesValidFraction = 0.5;
+const zonalHistogramBins = 20;
+const maxExportPixels = 2048 * 2048;
+const maxSceneListItems = 100;
+const maxFootprintItems = 500;
+const maxLoadingCells = 6;
+const maxRasterReads = 8;
+const unloadAbortDelay = 3000;
+const prefetchIdleDelay = 1000;
+
+// Sign in advance so that the token is ready for the first tiles
+getUrlSigner(getStacProvider(null));
+
+// The worker runs in a WorkerPool, STAC searches go through the pool so that the workers share the responses
+const pendingStacSearches = new Map();
+let lastStacSearchId = 0;
+
+setStacFetcher((url, body) => new Promise((resolve, reject) => {
+  const requestId = ++lastStacSearchId;
+  pendingStacSearches.set(requestId, { resolve: resolve, reject: reject });
+  self.postMessage({ type: "stacSearch", requestId: requestId, url: url, body: body });
+}));
+
+function onStacSearchResult(pkg) {
+  const pendingSearch = pendingStacSearches.get(pkg.requestId);
+  pendingStacSearches.delete(pkg.requestId);
+  if (pkg.error != null)
+    pendingSearch?.reject(new Error(pkg.error));
+  else
+    pendingSearch?.resolve(pkg.data);
+}
 
-async function updateMspcSasToken() {
-  try {
-    const signResp = await fetch("https://planetarycomputer.microsoft.com/api/sas/v1/token/sentinel-2-l2a?write=false", {
-      method: "GET",
-      headers: { "Content-Type": "application/json" },
-    });
+// The last viewport of every layer instance, the cells load in the order of their distance to its centre.
+// cellJobs maps the abort signals of the cell loads to their cells, so that the raster reads
+// of a cell wait in the same order
+const viewports = new Map();
+const cellJobs = new WeakMap();
+const cellJobPriority = job => job == null ? 0 : cellPriority(job, viewports.get(job.instanceId));
+const cellSlots = new PrioritySemaphore(maxLoadingCells, cellJobPriority);
+const rasterReadSlots = new PrioritySemaphore(maxRasterReads, cellJobPriority);
+let prefetchTimer = null;
+let prefetchController = null;
+
+function startCellJob(signal, job) {
+  cellJobs.set(signal, job);
+  return cellSlots.acquire(signal, job);
+}
+
+function onViewport(pkg) {
+  prefetchController?.abort();
+  prefetchController = null;
+
+  if (pkg.tileRange == null)
+    viewports.delete(pkg.instanceId);
+  else
+    viewports.set(pkg.instanceId, pkg);
+  schedulePrefetch();
+}
+
+// Prefetching starts once no cell loaded for prefetchIdleDelay
+function schedulePrefetch() {
+  clearTimeout(prefetchTimer);
+  prefetchTimer = setTimeout(prefetchAroundViewports, prefetchIdleDelay);
+}
 
-    const result = await signResp.json();
-    mspcSasToken = result.token;
-  } catch (error) {
-    setTimeout(updateMspcSasToken, 1000);
+// Cells around every viewport once, one at a time, every worker takes the cells the pool would route to it
+async function prefetchAroundViewports() {
+  if (!cellSlots.idle || prefetchController != null)
     return;
+
+  const controller = prefetchController = new AbortController();
+  for (const viewport of viewports.values()) {
+    if (viewport.prefetched || !layerDataLoaders.has(viewport.layerType))
+      continue;
+
+    viewport.prefetched = true;
+    for (const coords of prefetchCoords(viewport, viewport.maxZoom)) {
+      const cell = mercatorTileCell(coords, viewport.tileSize);
+      if (tileWorkerIndex(cell.key, viewport.workerCount) != viewport.workerIndex)
+        continue;
+
+      await layerDataLoaders.get(viewport.layerType).prefetchCell(
+        { ...cell, instanceId: viewport.instanceId, params: viewport.params }, controller.signal);
+      if (controller.signal.aborted)
+        return;
+    }
   }
 
-  console.log("MSPC SAS token refreshed");
-  setTimeout(updateMspcSasToken, 45 * 60 * 1000); 
+  if (prefetchController == controller)
+    prefetchController = null;
 }
 
-(async () => {
-  await updateMspcSasToken();
-})();
-
 function withRetry(fn, retries = 3, delay = 500) {
   return async function(...args) {
     let attempt = 0;
@@ -57,64 +145,366 @@ function withRetry(fn, retries = 3, delay = 500) {
   };
 }
 
+// The images of the opened COGs, the full resolution one and its overviews, without the masks
+const tiffOverviews = new WeakMap();
+
+async function readTiffOverviews(tiff) {
+  const fullImage = await tiff.getImage(0);
+  const [originX, originY] = fullImage.getOrigin();
+  const imageCount = await tiff.getImageCount();
+  const overviews = [];
+
+  for (let i = 0; i < imageCount; i++) {
+    const image = await tiff.getImage(i);
+    if (i > 0 && (image.fileDirectory.NewSubfileType & 4) != 0)
+      continue;
+
+    // Overviews have no geo keys of their own, their resolution follows from the full image
+    const [resolutionX, resolutionY] = image.getResolution(fullImage);
+    overviews.push({
+      image: image,
+      width: image.getWidth(),
+      height: image.getHeight(),
+      origin: [originX, originY],
+      resolution: [Math.abs(resolutionX), Math.abs(resolutionY)],
+    });
+  }
+
+  return overviews;
+}
+
+function getTiffOverviews(tiff) {
+  if (!tiffOverviews.has(tiff)) {
+    const overviews = withRetry(readTiffOverviews)(tiff);
+    tiffOverviews.set(tiff, overviews);
+    overviews.catch(() => tiffOverviews.delete(tiff));
+  }
+
+  return tiffOverviews.get(tiff);
+}
+
+// Thumbnails are shown by <img> elements, the ones of catalogs that sign with an Authorization header are left out
+function sceneThumbnail(stacItem) {
+  if (isTokenProvider(stacItem.provider))
+    return null;
+
+  return stacItem.assets.rendered_preview?.href ??
+    (stacItem.assets.thumbnail != null ? getUrlSigner(getStacProvider(stacItem.provider)).signUrl(stacItem.assets.thumbnail.href) : null);
+}
+
+// What the scene list and the footprints show of a STAC item
+function sceneSummary(stacItem) {
+  return {
+    id: stacItem.id,
+    datetime: stacItem.properties.datetime,
+    cloudCover: stacItem.properties["eo:cloud_cover"],
+    mgrsTile: stacItem.properties["s2:mgrs_tile"],
+    geometry: stacItem.geometry,
+    thumbnail: sceneThumbnail(stacItem),
+  };
+}
+
+// Acquisition dates and ids of the scenes drawn into a cell, persisted with the rendered cell
+function cellScenes(usedStacItems) {
+  return {
+    dates: usedStacItems.map(stacItem => stacItem.properties.datetime.split('T')[0]),
+    sceneIds: usedStacItems.map(stacItem => stacItem.id),
+  };
+}
+
+function median(values) {
+  values.sort((a, b) => a - b);
+  const middle = values.length >> 1;
+  return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+}
+
+// Items of the N most recent acquisition dates, a date can span several MGRS tiles
+function selectRecentScenes(stacItems, sceneCount) {
+  const dates = new Set();
+  return stacItems.filter(stacItem => {
+    const date = stacItem.properties.datetime.split('T')[0];
+    if (dates.size < sceneCount)
+      dates.add(date);
+    return dates.has(date);
+  });
+}
+
+function createRaster(width, height, channelCount) {
+  const raster = Array.from({ length: channelCount }, () => new Float32Array(width * height));
+  raster.width = width;
+  raster.height = height;
+  raster.valid = new Uint8Array(width * height);
+  return raster;
+}
+
+// Processing baseline 04.00 and later shifts L2A digital numbers by +1000
+function reflectanceOffset(stacItem) {
+  if (stacItem.properties["earthsearch:boa_offset_applied"])
+    return 0;
+
+  const processingBaseline = stacItem.properties["s2:processing_baseline"];
+  return processingBaseline != null && processingBaseline >= "04.00" ? -1000 : 0;
+}
+
+function calculateIndexRaster(spectralIndex, bands, offset) {
+  const firstBand = bands[spectralIndex.assets[0]];
+  const indexRaster = createRaster(firstBand.width, firstBand.height, 1);
+  const pixelValues = {};
+
+  for (let i = 0; i < indexRaster.valid.length; i++) {
+    let hasData = true;
+    for (const asset of spectralIndex.assets) {
+      const digitalNumber = bands[asset][0][i];
+      if (!digitalNumber) {
+        hasData = false;
+        break;
+      }
+
+      pixelValues[asset] = (digitalNumber + offset) / 10000;
+    }
+
+    if (!hasData)
+      continue;
+
+    const value = spectralIndex.evaluate(pixelValues);
+    if (!Number.isFinite(value))
+      continue;
+
+    indexRaster[0][i] = value;
+    indexRaster.valid[i] = 1;
+  }
+
+  return indexRaster;
+}
+
+// A pkg reading the [minLng, minLat, maxLng, maxLat] area like a map tile, on a WGS84 grid
+// with ~10 m pixels, coarser when the grid would exceed maxPixels
+function createAreaPkg(params, bbox, maxPixels) {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const middleLat = (minLat + maxLat) / 2;
+  const widthM = turf.distance([minLng, middleLat], [maxLng, middleLat], { units: "meters" });
+  const heightM = turf.distance([minLng, minLat], [minLng, maxLat], { units: "meters" });
+  const resolution = Math.max(10, Math.sqrt(widthM * heightM / maxPixels));
+
+  return {
+    params: params,
+    bbox: bbox,
+    resolution: resolution,
+    coordsTopLeft: { lat: maxLat, lng: minLng },
+    coordsBottomRight: { lat: minLat, lng: maxLng },
+    gridCrs: "EPSG:4326",
+    cellCoords: [[minLng, maxLat], [maxLng, maxLat], [maxLng, minLat], [minLng, minLat]],
+    tileSize: {
+      x: Math.max(1, Math.ceil(widthM / resolution)),
+      y: Math.max(1, Math.ceil(heightM / resolution)),
+    },
+  };
+}
+
+// GeoTIFF tags of an area pkg raster, georeferenced in EPSG:4326
+function areaGeoTiffMetadata(areaPkg, bitsPerSample, sampleFormat) {
+  const [minLng, minLat, maxLng, maxLat] = areaPkg.bbox;
+  return {
+    width: areaPkg.tileSize.x,
+    height: areaPkg.tileSize.y,
+    BitsPerSample: bitsPerSample,
+    SampleFormat: sampleFormat,
+    SamplesPerPixel: bitsPerSample.length,
+    PlanarConfiguration: 1,
+    ModelPixelScale: [(maxLng - minLng) / areaPkg.tileSize.x, (maxLat - minLat) / areaPkg.tileSize.y, 0],
+    ModelTiepoint: [0, 0, 0, minLng, maxLat, 0],
+    GTModelTypeGeoKey: 2,
+    GTRasterTypeGeoKey: 1,
+    GeographicTypeGeoKey: 4326,
+  };
+}
+
+// ESRI world file of an area pkg raster, the coordinates are of the top left pixel center
+function areaWorldFile(areaPkg) {
+  const [minLng, minLat, maxLng, maxLat] = areaPkg.bbox;
+  const pixelWidth = (maxLng - minLng) / areaPkg.tileSize.x;
+  const pixelHeight = (maxLat - minLat) / areaPkg.tileSize.y;
+  return [pixelWidth, 0, 0, -pixelHeight, minLng + pixelWidth / 2, maxLat - pixelHeight / 2].join("\n") + "\n";
+}
+
+async function blobToImageData(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+async function imageToPngBlob(image) {
+  const canvas = new OffscreenCanvas(image.width, image.height);
+  canvas.getContext('2d').putImageData(image, 0, 0);
+  return canvas.convertToBlob({ type: "image/png" });
+}
+
+// Statistics of the valid pixels of one channel inside the zone mask
+function zonalChannelStatistics(name, values, valid, mask) {
+  let count = 0, sum = 0, sumSquares = 0;
+  let min = Infinity, max = -Infinity;
+
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i] || !valid[i])
+      continue;
+
+    const value = values[i];
+    count++;
+    sum += value;
+    sumSquares += value * value;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  }
+
+  if (count == 0)
+    return { name: name, count: 0 };
+
+  const mean = sum / count;
+  const histogram = new Array(zonalHistogramBins).fill(0);
+  const binWidth = (max - min) / zonalHistogramBins;
+
+  for (let i = 0; i < mask.length; i++)
+    if (mask[i] && valid[i]) {
+      const bin = binWidth > 0 ? Math.floor((values[i] - min) / binWidth) : 0;
+      histogram[Math.min(bin, zonalHistogramBins - 1)]++;
+    }
+
+  return {
+    name: name,
+    count: count,
+    mean: mean,
+    min: min,
+    max: max,
+    std: Math.sqrt(Math.max(sumSquares / count - mean * mean, 0)),
+    histogram: histogram,
+  };
+}
 
 class Sentinel2RgbDataLoader {
   #tiffCache = new Map();
-  #stac = null;
+  #stacCatalogs = new Map();
+  #maxCloudCoverage = null;
   #abortControllers = new Map();
   #cellRgbCache = new QuickLRU({ maxSize: 1000 });
+  #cellHistograms = new QuickLRU({ maxSize: 1000 });
   #cellDates = new Map();
-  #visibleCellKeys = new Set();
+  #cellSceneIds = new Map();
+  #visibleCells = new Map();
+  #unloadingCells = new Map();
   #layerType = null;
+  #timeSeriesController = null;
+  #zonalStatsController = null;
+  #exportController = null;
+  #precacheController = null;
+  #footprintsController = null;
 
   
 
   constructor(maxCloudCoverage, layerType) {
-    this.#stac = new STACCatalog(maxCloudCoverage)
+    this.#maxCloudCoverage = maxCloudCoverage;
     this.#layerType = layerType;
   }
 
+  // One catalog per provider, date range, scene filter and cloud cover limit, changed filters start with
+  // an empty item cache. The limit defaults to the one of the layer
+  getStacCatalog(providerId, datetime, sceneFilter = null, maxCloudCoverage = this.#maxCloudCoverage) {
+    const provider = getStacProvider(providerId);
+    const filter = createSceneFilter(sceneFilter ?? {});
+    const catalogKey = `${provider.id}/${maxCloudCoverage}/${JSON.stringify(filter)}/${datetime}`;
+    if (!this.#stacCatalogs.has(catalogKey))
+      this.#stacCatalogs.set(catalogKey, new STACCatalog(maxCloudCoverage, datetime, provider, filter));
+
+    return this.#stacCatalogs.get(catalogKey);
+  }
+
   async createTile(pkg) {
-    this.#visibleCellKeys.add(pkg.key);
+    const tileKey = `${pkg.instanceId}/${pkg.key}`;
+    const cacheKey = cellCacheKey(this.#layerType, pkg.params, pkg.key);
+    this.#visibleCells.set(tileKey, cacheKey);
+
+    // The tile came back into view before the load of its unloaded tile was aborted
+    const unloading = this.#unloadingCells.get(tileKey);
+    if (unloading != null) {
+      clearTimeout(unloading.timer);
+      this.#unloadingCells.delete(tileKey);
+      if (unloading.cacheKey == cacheKey) {
+        unloading.job.unloaded = false;
+        this.#abortControllers.set(tileKey, unloading.controller);
+        return;
+      }
+
+      unloading.controller.abort();
+    }
 
-    if (this.#cellRgbCache.has(pkg.key)) {
+    if (this.#cellRgbCache.has(cacheKey)) {
+      await this.storeCachedHistogram(cacheKey, this.#cellRgbCache.get(cacheKey), pkg);
       self.postMessage({
         layerType: this.#layerType,
+        instanceId: pkg.instanceId,
         type: "done",
         key: pkg.key,
-        cellRGB: await createImageBitmap(this.#cellRgbCache.get(pkg.key)),
+        cellRGB: await createImageBitmap(this.#cellRgbCache.get(cacheKey)),
       });
       
       return;
     }
+
+    // Registered before the cache lookup, so that the tile can be unloaded during it
     const controller = new AbortController();
-    this.#abortControllers.set(pkg.key, controller);
+    this.#abortControllers.set(tileKey, controller);
 
-    try {
-      const [stacItems, fullCoverage] = await this.#stac.fetchLatestS2(pkg.coordsTopLeft, pkg.coordsBottomRight);
-      let currentCellDates = [];
-      for (const stacItem of stacItems)
-        currentCellDates.push(stacItem.properties.datetime.split('T')[0]);
-      if (currentCellDates.length > 1)
-        currentCellDates = new Set(currentCellDates)
-      if (currentCellDates.length == 1)
-        currentCellDates = currentCellDates[0];
+    // Offline the stale and the partly covered cells are better than none
+    let persistedCell = await tileCache.get(cacheKey, !navigator.onLine);
+    if (persistedCell?.partial && navigator.onLine)
+      persistedCell = null;
 
-      this.#cellDates.set(pkg.key, currentCellDates);
+    if (controller.signal.aborted || !this.#visibleCells.has(tileKey)) {
+      console.log(`Tile ${pkg.key} unloaded before it started loading`);
+      this.#forgetController(tileKey, controller);
+      return;
+    }
 
-      const warpedImage = new ImageData(pkg.tileSize.x, pkg.tileSize.y);
+    if (persistedCell != null) {
+      this.#forgetController(tileKey, controller);
+      if (!persistedCell.partial)
+        this.#cellRgbCache.set(cacheKey, persistedCell.image);
+      this.storeCellScenes(cacheKey, persistedCell);
+      await this.storeCachedHistogram(cacheKey, persistedCell.image, pkg);
+      self.postMessage({
+        layerType: this.#layerType,
+        instanceId: pkg.instanceId,
+        type: "done",
+        key: pkg.key,
+        cellRGB: await createImageBitmap(persistedCell.image),
+      });
+
+      return;
+    }
+
+    const release = await startCellJob(controller.signal, { instanceId: pkg.instanceId, coords: pkg.coords, prefetch: false, unloaded: false });
+    if (release == null) {
+      console.log(`Tile ${pkg.key} aborted before it started loading`);
+      return;
+    }
 
-      await this.loadAndDrawTile(pkg, stacItems, warpedImage, controller.signal);
+    try {
+      const [cellRaster, usedStacItems, fullCoverage] = await this.loadCellRaster(pkg, controller.signal);
 
       if (controller.signal.aborted) {
         console.log("Abort after getting cell RGB data");
         return;
       }
 
-      const cellRGB = await createImageBitmap(warpedImage);
+      const scenes = cellScenes(usedStacItems);
+      this.storeCellScenes(cacheKey, scenes);
+
+      const cellRGB = await createImageBitmap(this.renderTileImage(cellRaster, pkg, cacheKey));
 
       self.postMessage({
           layerType: this.#layerType,
+          instanceId: pkg.instanceId,
           type: "done",
           key: pkg.key,
           error: null,
@@ -126,59 +516,505 @@ class Sentinel2RgbDataLoader {
         const ctx = offscreen.getContext('2d');
         ctx.drawImage(cellRGB, 0, 0);
         const blob = await offscreen.convertToBlob({ type: 'image/png' });
-        this.#cellRgbCache.set(pkg.key, blob);
+        this.#cellRgbCache.set(cacheKey, blob);
+        tileCache.set(cacheKey, { image: blob, ...scenes });
       }
     } catch (error) {
+      if (controller.signal.aborted)
+        return;
+
       self.postMessage({
         layerType: this.#layerType,
+        instanceId: pkg.instanceId,
         type: "done",
         key: pkg.key,
         error: error,
         cellRGB: null,
       });
-    }   
+    } finally {
+      release();
+      this.#forgetController(tileKey, controller);
+      schedulePrefetch();
+    }
+  }
+
+  // Drops the controller of a tile that finished or stopped loading
+  #forgetController(tileKey, controller) {
+    if (this.#abortControllers.get(tileKey) == controller)
+      this.#abortControllers.delete(tileKey);
+    if (this.#unloadingCells.get(tileKey)?.controller == controller) {
+      clearTimeout(this.#unloadingCells.get(tileKey).timer);
+      this.#unloadingCells.delete(tileKey);
+    }
+  }
+
+  // scenes are the cellScenes of the cell, also the ones persisted with it
+  storeCellScenes(cacheKey, scenes) {
+    let currentCellDates = [...scenes.dates];
+    if (currentCellDates.length > 1)
+      currentCellDates = new Set(currentCellDates)
+    if (currentCellDates.length == 1)
+      currentCellDates = currentCellDates[0];
+
+    this.#cellDates.set(cacheKey, currentCellDates);
+    this.#cellSceneIds.set(cacheKey, scenes.sceneIds);
+  }
+
+  // Renders a cell around the viewport into the caches, so that it is drawn at once when it comes into view.
+  // Like the loaded tiles only the fully covered cells are kept
+  async prefetchCell(pkg, signal) {
+    const cacheKey = cellCacheKey(this.#layerType, pkg.params, pkg.key);
+    if (this.#cellRgbCache.has(cacheKey))
+      return;
+    const persistedCell = await tileCache.get(cacheKey);
+    if (persistedCell != null && !persistedCell.partial)
+      return;
+
+    const release = await startCellJob(signal, { instanceId: pkg.instanceId, coords: pkg.coords, prefetch: true, unloaded: false });
+    if (release == null)
+      return;
+
+    try {
+      const [cellRaster, usedStacItems, fullCoverage] = await this.loadCellRaster(pkg, signal);
+      if (signal.aborted || !fullCoverage)
+        return;
+
+      const scenes = cellScenes(usedStacItems);
+      this.storeCellScenes(cacheKey, scenes);
+      const blob = await imageToPngBlob(this.renderTileImage(cellRaster, pkg, cacheKey));
+      this.#cellRgbCache.set(cacheKey, blob);
+      tileCache.set(cacheKey, { image: blob, ...scenes });
+    } catch (error) {
+      if (!signal.aborted)
+        console.log(`Prefetching cell ${pkg.key} failed: ${error.message}`);
+    } finally {
+      release();
+    }
+  }
+
+  // Reads the layer values of pkg.cellCoords into a pkg.tileSize raster,
+  // returns [cellRaster, usedStacItems, fullCoverage]
+  async loadCellRaster(pkg, signal) {
+    const stacCatalog = this.getStacCatalog(pkg.params?.provider, toStacDatetime(pkg.params?.dateRange), pkg.params?.sceneFilter);
+    if (pkg.params?.sceneId != null)
+      return this.loadPinnedScene(pkg, stacCatalog, signal);
+
+    let [stacItems, fullCoverage] = await stacCatalog.fetchLatestS2(pkg.coordsTopLeft, pkg.coordsBottomRight);
+    if (stacItems == null)
+      throw new Error("No Sentinel-2 images found for the cell");
+
+    const temporalMode = pkg.params?.temporal ?? "latest";
+    const intersectingItems = stacCatalog.findIntersectingItems(pkg.coordsTopLeft, pkg.coordsBottomRight);
+
+    if (temporalMode != "latest") {
+      const sceneCount = Math.min(Math.max(pkg.params?.temporalScenes ?? 5, 2), maxTemporalCompositeScenes);
+      stacItems = selectRecentScenes(intersectingItems, sceneCount);
+    } else if (pkg.params?.cloudMask) {
+      // Masked pixels fall through to older items, so every intersecting item is a candidate
+      stacItems = intersectingItems.slice(0, maxCloudMaskedItems);
+    }
+
+    const cellRaster = createRaster(pkg.tileSize.x, pkg.tileSize.y, this.channelCount(pkg));
+
+    let usedStacItems = null;
+    if (temporalMode == "latest")
+      usedStacItems = await this.loadAndDrawTile(pkg, stacItems, cellRaster, signal);
+    else
+      usedStacItems = await this.loadTemporalComposite(pkg, stacItems, cellRaster, temporalMode, signal);
+
+    if (pkg.params?.cloudMask || temporalMode != "latest")
+      fullCoverage = cellRaster.valid.indexOf(0) == -1;
+
+    return [cellRaster, usedStacItems, fullCoverage];
+  }
+
+  // The pinned scene only, the cell stays transparent outside of its footprint
+  async loadPinnedScene(pkg, stacCatalog, signal) {
+    const stacItem = await stacCatalog.fetchItem(pkg.params.sceneId);
+    const cellRaster = createRaster(pkg.tileSize.x, pkg.tileSize.y, this.channelCount(pkg));
+    const cellPolygon = turf.polygon([[...pkg.cellCoords, pkg.cellCoords[0]]]);
+
+    let usedStacItems = [];
+    if (turf.booleanIntersects(cellPolygon, stacItem.geometry))
+      usedStacItems = await this.loadAndDrawTile(pkg, [stacItem], cellRaster, signal);
+
+    return [cellRaster, usedStacItems, cellRaster.valid.indexOf(0) == -1];
   }
 
-  async loadAndDrawTile(pkg, stacItems, warpedImage, signal) {
+  channelCount(pkg) {
+    return 3;
+  }
+
+  channelNames(pkg) {
+    return ["Red", "Green", "Blue"];
+  }
+
+  // Returns the STAC items that were read, drawing stops as soon as every pixel of the cell is filled
+  async loadAndDrawTile(pkg, stacItems, cellRaster, signal) {
+    const usedStacItems = [];
+
     for (const stacItem of stacItems) {
       if (signal.aborted) {
         console.log("Abort after fetching stac item");
-        return;
+        return usedStacItems;
       }
 
-      const visualBand = stacItem.assets.visual.href;
+      if (cellRaster.valid.indexOf(0) == -1)
+        break;
 
-      const epsgCode = stacItem.properties["proj:epsg"];
-      const wgs84ToUTM = proj4("WGS84", `EPSG:${epsgCode}`);
+      const [warpGrid, bbox] = this.projectCell(pkg, stacItem);
+      const cellValues = await this.readCellValues(pkg, stacItem, bbox, pkg.tileSize, signal);
 
-      const cellCoordsUtm = pkg.cellCoords.map(xy => wgs84ToUTM.forward([xy[0], xy[1]]));
-      const tiff = await this.openGeoTiffFile(visualBand);
+      if (cellValues != null && pkg.params?.cloudMask)
+        await this.maskCloudyPixels(stacItem, bbox, pkg.tileSize, cellValues, signal);
 
-      if (signal.aborted) {
-        console.log("Abort after opening geotiff file");
-        return;
+      if (cellValues == null || signal.aborted) {
+        console.log("Abort after reading cell values");
+        return usedStacItems;
       }
 
-      await this.getCellRgbImage(tiff, warpedImage, cellCoordsUtm, pkg.tileSize, signal);
+      this.warpCellImage(cellValues, cellRaster, warpGrid, bbox, pkg);
+      usedStacItems.push(stacItem);
+    }
+
+    return usedStacItems;
+  }
+
+  // Returns the warp grid of the cell pixels in the UTM zone of the item and the UTM bbox to read.
+  // Map tiles are Web Mercator cells, area pkgs are lon/lat cells (gridCrs EPSG:4326)
+  projectCell(pkg, stacItem) {
+    const epsgCode = stacItem.properties["proj:epsg"];
+    const wgs84ToUTM = proj4("WGS84", `EPSG:${epsgCode}`);
+
+    const toLngLat = pkg.gridCrs == "EPSG:4326" ? linearPixelToLngLat : mercatorPixelToLngLat;
+    const pixelToLngLat = toLngLat(pkg.coordsTopLeft, pkg.coordsBottomRight, pkg.tileSize.x, pkg.tileSize.y);
+    const warpGrid = createWarpGrid(pkg.tileSize.x, pkg.tileSize.y, (x, y) => wgs84ToUTM.forward(pixelToLngLat(x, y)));
+    return [warpGrid, warpGridBbox(warpGrid)];
+  }
+
+  // Categorical layers override it with nearest neighbour
+  resamplingMethod(pkg) {
+    return pkg.params?.resampling;
+  }
+
+  // Every scene is warped on its own, then pixels are combined:
+  // "median" per channel, "max" keeps the greenest (max NDVI or max index value) observation
+  // and "best" keeps the observation with the lowest cloud probability, the newest on ties
+  async loadTemporalComposite(pkg, stacItems, cellRaster, mode, signal) {
+    const channelCount = cellRaster.length;
+    const sceneRasters = [];
+    const usedStacItems = [];
+
+    for (const stacItem of stacItems) {
+      if (signal.aborted)
+        return usedStacItems;
+
+      const [warpGrid, bbox] = this.projectCell(pkg, stacItem);
+      const cellValues = await this.readCellValues(pkg, stacItem, bbox, pkg.tileSize, signal);
+
+      if (cellValues != null && pkg.params?.cloudMask)
+        await this.maskCloudyPixels(stacItem, bbox, pkg.tileSize, cellValues, signal);
+
+      if (cellValues != null && mode != "median")
+        cellValues.push(await this.readCompositeScore(mode, stacItem, bbox, pkg.tileSize, cellValues, signal));
+
+      if (cellValues == null || signal.aborted) {
+        console.log("Abort after reading temporal composite scene");
+        return usedStacItems;
+      }
+
+      const sceneRaster = createRaster(cellRaster.width, cellRaster.height, cellValues.length);
+      this.warpCellImage(cellValues, sceneRaster, warpGrid, bbox, pkg);
+      sceneRasters.push(sceneRaster);
+      usedStacItems.push(stacItem);
+    }
+
+    const samples = new Float32Array(sceneRasters.length);
+    for (let i = 0; i < cellRaster.valid.length; i++) {
+      if (mode == "median") {
+        for (let c = 0; c < channelCount; c++) {
+          let sampleCount = 0;
+          for (const sceneRaster of sceneRasters)
+            if (sceneRaster.valid[i])
+              samples[sampleCount++] = sceneRaster[c][i];
+
+          if (sampleCount == 0)
+            break;
+
+          cellRaster[c][i] = median(samples.subarray(0, sampleCount));
+          cellRaster.valid[i] = 1;
+        }
+      } else {
+        let bestRaster = null;
+        for (const sceneRaster of sceneRasters)
+          if (sceneRaster.valid[i] && (bestRaster == null || sceneRaster[channelCount][i] > bestRaster[channelCount][i]))
+            bestRaster = sceneRaster;
+
+        if (bestRaster == null)
+          continue;
+
+        for (let c = 0; c < channelCount; c++)
+          cellRaster[c][i] = bestRaster[c][i];
+        cellRaster.valid[i] = 1;
+      }
+    }
+
+    return usedStacItems;
+  }
+
+  // Higher score is better
+  async readCompositeScore(mode, stacItem, bbox, cellSize, cellValues, signal) {
+    const score = new Float32Array(cellValues.valid.length);
+
+    if (mode == "best") {
+      const tiff = await this.openGeoTiffFile(stacItem, "SCL");
+      if (signal.aborted)
+        return score;
+
+      const sceneClasses = await this.readCellRaster(tiff, bbox, cellSize, signal, "nearest");
+      for (let i = 0; i < score.length; i++)
+        score[i] = -sceneClassCloudProbability(sceneClasses[0][i]);
+    } else {
+      const redTiff = await this.openGeoTiffFile(stacItem, "B04");
+      const nirTiff = await this.openGeoTiffFile(stacItem, "B08");
+      if (signal.aborted)
+        return score;
+
+      // Pixels without a red or NIR value are left out of the composite
+      const red = await this.readCellRaster(redTiff, bbox, cellSize, signal);
+      const nir = await this.readCellRaster(nirTiff, bbox, cellSize, signal);
+      const offset = reflectanceOffset(stacItem);
+      for (let i = 0; i < score.length; i++) {
+        if (red[0][i] == 0 || nir[0][i] == 0) {
+          cellValues.valid[i] = 0;
+          continue;
+        }
+
+        const redReflectance = red[0][i] + offset;
+        const nirReflectance = nir[0][i] + offset;
+        score[i] = (nirReflectance - redReflectance) / (nirReflectance + redReflectance) || 0;
+      }
+    }
+
+    return score;
+  }
+
+  async maskCloudyPixels(stacItem, bbox, cellSize, cellValues, signal) {
+    const tiff = await this.openGeoTiffFile(stacItem, "SCL");
+    if (signal.aborted)
+      return;
+
+    const sceneClasses = await this.readCellRaster(tiff, bbox, cellSize, signal, "nearest");
+    for (let i = 0; i < cellValues.valid.length; i++)
+      if (isMaskedSceneClass(sceneClasses[0][i]))
+        cellValues.valid[i] = 0;
+  }
+
+  async readCellValues(pkg, stacItem, bbox, cellSize, signal) {
+    const tiff = await this.openGeoTiffFile(stacItem, "visual");
+
+    if (signal.aborted) {
+      console.log("Abort after opening geotiff file");
+      return null;
     }
+
+    const cellRGB = await this.readCellRaster(tiff, bbox, cellSize, signal, this.resamplingMethod(pkg));
+    cellRGB.valid = new Uint8Array(cellRGB.width * cellRGB.height);
+    for (let i = 0; i < cellRGB.valid.length; i++)
+      cellRGB.valid[i] = cellRGB[0][i] > 0 || cellRGB[1][i] > 0 || cellRGB[2][i] > 0;
+
+    return cellRGB;
+  }
+
+  // The rendered cell with the display adjustments of pkg.params.radiometry. The histogram of the
+  // image before the adjustments is kept under cacheKey for the viewport auto-stretch
+  renderTileImage(cellRaster, pkg, cacheKey = null) {
+    const image = this.renderCellImage(cellRaster, pkg);
+    if (cacheKey != null)
+      this.#cellHistograms.set(cacheKey, imageHistogram(image));
+
+    return applyRadiometry(image, pkg.params?.radiometry);
+  }
+
+  // Only the cached cells without adjustments tell the histogram of the rendered image
+  async storeCachedHistogram(cacheKey, blob, pkg) {
+    if (!this.#cellHistograms.has(cacheKey) && !isRadiometrySet(pkg.params?.radiometry))
+      this.#cellHistograms.set(cacheKey, imageHistogram(await blobToImageData(blob)));
+  }
+
+  // Histogram of the visible cells of the layer instance, before their display adjustments
+  getViewportStretch(pkg) {
+    const tileKeyPrefix = `${pkg.instanceId}/`;
+    const histogram = new Uint32Array(3 * 256);
+    for (const [tileKey, currCellKey] of this.#visibleCells)
+      if (tileKey.startsWith(tileKeyPrefix) && this.#cellHistograms.has(currCellKey))
+        addHistogram(histogram, this.#cellHistograms.get(currCellKey));
+
+    self.postMessage({
+      layerType: this.#layerType,
+      instanceId: pkg.instanceId,
+      requestId: pkg.requestId,
+      type: "getViewportStretch",
+      histogram: histogram,
+      percentiles: pkg.percentiles,
+    });
+  }
+
+  renderCellImage(cellRaster, pkg) {
+    const image = new ImageData(cellRaster.width, cellRaster.height);
+    const imageData = image.data;
+
+    for (let i = 0, dstOffset = 0; i < cellRaster.valid.length; i++, dstOffset += 4) {
+      if (!cellRaster.valid[i])
+        continue;
+
+      imageData[dstOffset] = cellRaster[0][i];
+      imageData[dstOffset + 1] = cellRaster[1][i];
+      imageData[dstOffset + 2] = cellRaster[2][i];
+      imageData[dstOffset + 3] = 255;
+    }
+
+    return image;
   }
  
+  // Every STAC item of the layer catalog over the view, newest first.
+  // used marks the items drawn in the visible tiles of the layer instance
+  async getSceneList(pkg) {
+    try {
+      const stacCatalog = this.getStacCatalog(pkg.params?.provider, toStacDatetime(pkg.params?.dateRange), pkg.params?.sceneFilter);
+      const stacItems = await stacCatalog.fetchAllS2StacItems(pkg.topLeft, pkg.bottomRight, maxSceneListItems);
+
+      const usedSceneIds = new Set();
+      for (const [tileKey, cacheKey] of this.#visibleCells)
+        if (tileKey.startsWith(`${pkg.instanceId}/`))
+          this.#cellSceneIds.get(cacheKey)?.forEach(id => usedSceneIds.add(id));
+
+      const scenes = stacItems
+        .sort((a, b) => b.properties.datetime.localeCompare(a.properties.datetime))
+        .map(stacItem => ({ ...sceneSummary(stacItem), used: usedSceneIds.has(stacItem.id) }));
+
+      self.postMessage({ layerType: this.#layerType, instanceId: pkg.instanceId, requestId: pkg.requestId, type: "getSceneList", scenes: scenes });
+    } catch (error) {
+      self.postMessage({ layerType: this.#layerType, instanceId: pkg.instanceId, requestId: pkg.requestId, type: "getSceneList", error: error.message });
+    }
+  }
+
+  // The newest scenes of the layer catalog over a zoomed out view, shown as footprints below the minimum zoom.
+  // The footprints are coloured by cloud cover, so the cloud cover limit of the layer is left out.
+  // A new search replaces the running one
+  async getFootprints(pkg) {
+    this.#footprintsController?.abort();
+    const controller = this.#footprintsController = new AbortController();
+
+    try {
+      const stacCatalog = this.getStacCatalog(pkg.params?.provider, toStacDatetime(pkg.params?.dateRange), pkg.params?.sceneFilter, 100);
+      const stacItems = await stacCatalog.fetchAllS2StacItems(pkg.topLeft, pkg.bottomRight, maxFootprintItems, controller.signal);
+      controller.signal.throwIfAborted();
+      self.postMessage({ layerType: this.#layerType, instanceId: pkg.instanceId, requestId: pkg.requestId, type: "getFootprints", footprints: stacItems.map(sceneSummary) });
+    } catch (error) {
+      if (!controller.signal.aborted)
+        self.postMessage({ layerType: this.#layerType, instanceId: pkg.instanceId, requestId: pkg.requestId, type: "getFootprints", error: error.message });
+    }
+  }
+
+  // Renders pkg.cells one by one into the persistent tile cache, cells already cached are skipped.
+  // Cells without full coverage are stored as partial, they are drawn only offline where they are the only data there is
+  async precacheTiles(pkg) {
+    this.#precacheController?.abort();
+    const controller = this.#precacheController = new AbortController();
+    const progress = { done: 0, failed: 0, total: pkg.cells.length, finished: false };
+
+    for (const cell of pkg.cells) {
+      const cellPkg = { ...cell, params: pkg.params };
+      const cacheKey = cellCacheKey(this.#layerType, pkg.params, cell.key);
+
+      try {
+        const persistedCell = await tileCache.get(cacheKey);
+        if (persistedCell == null || persistedCell.partial) {
+          const [cellRaster, usedStacItems, fullCoverage] = await this.loadCellRaster(cellPkg, controller.signal);
+          if (controller.signal.aborted)
+            return;
+
+          if (usedStacItems.length > 0)
+            await tileCache.set(cacheKey, {
+              image: await imageToPngBlob(this.renderTileImage(cellRaster, cellPkg)),
+              ...cellScenes(usedStacItems),
+              partial: !fullCoverage,
+            });
+        }
+      } catch (error) {
+        if (controller.signal.aborted)
+          return;
+
+        console.log(`Precaching cell ${cell.key} failed: ${error.message}`);
+        progress.failed++;
+      }
+
+      progress.done++;
+      this.postPrecacheProgress(pkg, progress);
+    }
+
+    progress.finished = true;
+    this.postPrecacheProgress(pkg, progress);
+  }
+
+  cancelPrecache(pkg) {
+    this.#precacheController?.abort();
+    this.#precacheController = null;
+  }
+
+  postPrecacheProgress(pkg, progress) {
+    self.postMessage({
+      layerType: this.#layerType,
+      instanceId: pkg.instanceId,
+      requestId: pkg.requestId,
+      type: "precacheTiles",
+      progress: { ...progress },
+    });
+  }
+
+  // The load of an unloaded tile goes behind the other cells and is aborted after unloadAbortDelay,
+  // unless the tile comes back into view before
   unloadTile(pkg) {
-    this.#visibleCellKeys.delete(pkg.key);
+    const tileKey = `${pkg.instanceId}/${pkg.key}`;
+    const cacheKey = this.#visibleCells.get(tileKey);
+    this.#visibleCells.delete(tileKey);
 
-    const controller = this.#abortControllers.get(pkg.key);
+    const controller = this.#abortControllers.get(tileKey);
     if (controller) {
-      controller.abort();
-      this.#abortControllers.delete(pkg.key);
-      console.log(`Tile ${pkg.key} aborted and unloaded.`);
+      this.#abortControllers.delete(tileKey);
+
+      // Tiles still looking up the cache have nothing to keep
+      const job = cellJobs.get(controller.signal);
+      if (job == null) {
+        controller.abort();
+        return;
+      }
+
+      job.unloaded = true;
+
+      this.#unloadingCells.set(tileKey, {
+        controller: controller,
+        job: job,
+        cacheKey: cacheKey,
+        timer: setTimeout(() => {
+          this.#unloadingCells.delete(tileKey);
+          controller.abort();
+          console.log(`Tile ${pkg.key} aborted and unloaded.`);
+        }, unloadAbortDelay),
+      });
     }
   }
 
-  async openGeoTiffFile(geoTiffUrl) {
+  // Opens the asset of the STAC item, signed the way its provider requires
+  async openGeoTiffFile(stacItem, assetKey) {
+    const geoTiffUrl = stacItem.assets[assetKey].href;
+    const signer = getUrlSigner(getStacProvider(stacItem.provider));
+
     if (this.#tiffCache.has(geoTiffUrl))
     {
       const cachedGeotiff = this.#tiffCache.get(geoTiffUrl);
-      if (cachedGeotiff.token == mspcSasToken)
+      if (cachedGeotiff.token == signer.version)
         return cachedGeotiff.geotiff;
       else {
         cachedGeotiff.geotiff = null;
@@ -187,82 +1023,68 @@ class Sentinel2RgbDataLoader {
     }
 
     console.log("Raw asset href:", geoTiffUrl);
-    const href = `${geoTiffUrl}?${mspcSasToken}`;
+    const href = signer.signUrl(geoTiffUrl);
     
-    const tiff = withRetry(fromUrl)(href);
+    const tiff = withRetry(fromCustomClient)(new CachingClient(href, geoTiffUrl, signer.headers()));
     this.#tiffCache.set(geoTiffUrl, {
       geotiff: tiff, 
-      token: mspcSasToken} );
+      token: signer.version} );
 
     return tiff;
   }
 
-  async getCellRgbImage(tiff, warpedImage, cellCoordsUtm, cellSize, signal) {
-    const bbox = turf.bbox(turf.lineString(cellCoordsUtm) );
-    const cellRGB = await withRetry(tiff.readRasters.bind(tiff))({
-      pool: tiffUnpackPool,
-      bbox: bbox,
-      resX: (bbox[2] - bbox[0])/cellSize.x,
-      resY: (bbox[3] - bbox[1])/cellSize.y,
-      signal: signal,
-    });
+  // Reads bbox from the overview matching the pixel size of the cell and resamples it onto the cellSize
+  // grid, so that 10 m, 20 m and 60 m bands line up. Cell values pass the resampling method of the layer,
+  // so that the warp to the map grid does not smooth them twice. Categorical bands (SCL) use nearest.
+  // At most maxRasterReads reads at a time, the reads of the cells nearest to the viewport centre first
+  async readCellRaster(tiff, bbox, cellSize, signal, resampling = defaultResampling) {
+    const overviews = await getTiffOverviews(tiff);
+    const overview = overviews[selectOverview(overviews, (bbox[2] - bbox[0]) / cellSize.x)];
+    const cellRaster = createRaster(cellSize.x, cellSize.y, overview.image.getSamplesPerPixel());
 
-    await this.warpCellImage(cellRGB, warpedImage, cellCoordsUtm, bbox, cellSize);
-  }
-
-  async warpCellImage(origCellImage, warpedImage, cellCoordsUtm, cellBboxUtm, cellSize) {
-    const origin = [cellBboxUtm[0], cellBboxUtm[3]];
-    const resolution = [
-      (cellBboxUtm[2] - cellBboxUtm[0])/origCellImage.width,
-      (cellBboxUtm[1] - cellBboxUtm[3])/origCellImage.height
-    ]
-
-    const originPixelCoords = cellCoordsUtm.map(xy => [
-      (xy[0] - origin[0])/resolution[0],
-      (xy[1] - origin[1])/resolution[1],
-    ])
-
-    const [A, B, C, D] = originPixelCoords;
-    const AB = [B[0] - A[0], B[1] - A[1]];
-    const AD = [D[0] - A[0], D[1] - A[1]];
-    const BC = [C[0] - B[0], C[1] - B[1]];
-    const BCsubAD = [BC[0] - AD[0], BC[1] - AD[1]];
-
-    const warpedData = warpedImage.data;
-    let dstOffset = 0;
-
-    for (let y = 0; y < cellSize.y; y++)
-      for (let x = 0; x < cellSize.x; x++)
-      {
-        if (warpedData[dstOffset + 3]!=255) {
-          const x1 = x / cellSize.x, y1 = y / cellSize.y;
-
-          let x0 = A[0] + x1*AB[0] + y1*AD[0] + x1*y1*BCsubAD[0];
-          let y0 = A[1] + x1*AB[1] + y1*AD[1] + x1*y1*BCsubAD[0];
-
-          x0 = Math.round(x0);
-          x0 = Math.min(Math.max(x0, 0), origCellImage.width - 1);
-          y0 = Math.round(y0);
-          y0 = Math.min(Math.max(y0, 0), origCellImage.height - 1);
-
-          const srcOffset = y0*origCellImage.width + x0;
-          
-          if (origCellImage[0][srcOffset] > 0 || origCellImage[1][srcOffset] > 0 || origCellImage[2][srcOffset] > 0) {
-            warpedData[dstOffset] = origCellImage[0][srcOffset];
-            warpedData[dstOffset + 1] = origCellImage[1][srcOffset];
-            warpedData[dstOffset + 2] = origCellImage[2][srcOffset];
-            warpedData[dstOffset + 3] = 255;
-          }
-        }
+    const readWindow = overviewWindow(overview, bbox);
+    if (readWindow == null)
+      return cellRaster;
 
-        dstOffset += 4;
-      }
+    const release = await rasterReadSlots.acquire(signal, cellJobs.get(signal));
+    if (release == null)
+      throw new DOMException("Raster read aborted", "AbortError");
+
+    let source = null;
+    try {
+      source = await withRetry(overview.image.readRasters.bind(overview.image))({
+        pool: tiffUnpackPool,
+        window: readWindow[0],
+        signal: signal,
+      });
+    } finally {
+      release();
+    }
+
+    // 0 is no data in every Sentinel-2 band
+    source.valid = new Uint8Array(source.width * source.height);
+    for (const channel of source)
+      for (let i = 0; i < source.valid.length; i++)
+        if (channel[i] != 0)
+          source.valid[i] = 1;
+
+    const grid = createWarpGrid(cellSize.x, cellSize.y, (x, y) => [
+      bbox[0] + (bbox[2] - bbox[0]) * x / cellSize.x,
+      bbox[3] - (bbox[3] - bbox[1]) * y / cellSize.y,
+    ]);
+    warpRaster(source, readWindow[1], cellRaster, grid, resampling);
+    return cellRaster;
   }
 
-  getImagesDates() {
+  warpCellImage(cellValues, cellRaster, warpGrid, cellBboxUtm, pkg) {
+    warpRaster(cellValues, cellBboxUtm, cellRaster, warpGrid, this.resamplingMethod(pkg));
+  }
+
+  getImagesDates(pkg) {
+    const tileKeyPrefix = `${pkg.instanceId}/`;
     let imagesDates = new Set();
-    for (const currCellKey of this.#visibleCellKeys) {
-      if (!this.#cellDates.has(currCellKey))
+    for (const [tileKey, currCellKey] of this.#visibleCells) {
+      if (!tileKey.startsWith(tileKeyPrefix) || !this.#cellDates.has(currCellKey))
         continue;
 
       const cellDates = this.#cellDates.get(currCellKey);
@@ -274,144 +1096,691 @@ class Sentinel2RgbDataLoader {
 
     self.postMessage({
       layerType: this.#layerType,
+      instanceId: pkg.instanceId,
+      requestId: pkg.requestId,
       type: "getImagesDates",
       imagesDates: imagesDates,
     });
   }
-}
 
-class Sentinel2NdviDataLoader extends Sentinel2RgbDataLoader {
-  async loadAndDrawTile(pkg, stacItems, warpedImage, signal) {
-    for (const stacItem of stacItems) {
-      if (signal.aborted) {
-        console.log("Abort after fetching stac item");
-        return;
+  // Reports the values of the newest STAC item with data at the point, skipping masked pixels if the cloud mask is on
+  async inspectPixel(pkg) {
+    try {
+      const [lng, lat] = pkg.lngLat;
+      const delta = 1e-4;
+      const topLeft = { lat: lat + delta, lng: lng - delta };
+      const bottomRight = { lat: lat - delta, lng: lng + delta };
+      const stacCatalog = this.getStacCatalog(pkg.params?.provider, toStacDatetime(pkg.params?.dateRange), pkg.params?.sceneFilter);
+
+      await stacCatalog.fetchLatestS2(topLeft, bottomRight);
+      const point = turf.point([lng, lat]);
+      const stacItems = stacCatalog.findIntersectingItems(topLeft, bottomRight)
+        .filter(stacItem => turf.booleanPointInPolygon(point, turf.polygon(stacItem.geometry.coordinates)));
+
+      let pixel = null;
+      for (const stacItem of stacItems) {
+        pixel = await this.readPixelValues(pkg, stacItem, [lng, lat]);
+        if (pixel != null)
+          break;
       }
 
-      const epsgCode = stacItem.properties["proj:epsg"];
-      const wgs84ToUTM = proj4("WGS84", `EPSG:${epsgCode}`);
+      if (pixel == null)
+        throw new Error("No Sentinel-2 data at this location");
 
-      const cellCoordsUtm = pkg.cellCoords.map(xy => wgs84ToUTM.forward([xy[0], xy[1]]));
+      self.postMessage({
+        layerType: this.#layerType,
+        instanceId: pkg.instanceId,
+        type: "inspectPixel",
+        lngLat: pkg.lngLat,
+        pixel: pixel,
+        error: null,
+      });
+    } catch (error) {
+      self.postMessage({
+        layerType: this.#layerType,
+        instanceId: pkg.instanceId,
+        type: "inspectPixel",
+        lngLat: pkg.lngLat,
+        pixel: null,
+        error: error.message,
+      });
+    }
+  }
 
-      const redBand = stacItem.assets.B04.href;
-      const nirBand = stacItem.assets.B08.href;
+  async readPixelValues(pkg, stacItem, lngLat) {
+    const epsgCode = stacItem.properties["proj:epsg"];
+    const utmXY = proj4("WGS84", `EPSG:${epsgCode}`).forward(lngLat);
+
+    const assets = [...BandAssets, "SCL"];
+    const digitalNumbers = await Promise.all(assets.map(async asset =>
+      this.readPixel(await this.openGeoTiffFile(stacItem, asset), utmXY)));
+
+    const sceneClass = digitalNumbers.pop();
+    if (!digitalNumbers.some(digitalNumber => digitalNumber > 0))
+      return null;
+    if (pkg.params?.cloudMask && isMaskedSceneClass(sceneClass))
+      return null;
+
+    const offset = reflectanceOffset(stacItem);
+    // A digital number of 0 is no data, the band is reported as null
+    const reflectance = {};
+    BandAssets.forEach((asset, i) => reflectance[asset] = digitalNumbers[i] > 0 ? (digitalNumbers[i] + offset) / 10000 : null);
+
+    return {
+      sceneId: stacItem.id,
+      datetime: stacItem.properties.datetime,
+      tileId: stacItem.properties["s2:mgrs_tile"],
+      cloudCover: stacItem.properties["eo:cloud_cover"],
+      epsgCode: epsgCode,
+      utmXY: utmXY,
+      reflectance: reflectance,
+      sceneClass: sceneClass,
+      sceneClassName: SceneClasses[sceneClass] ?? "Unknown",
+      index: this.inspectIndex(pkg, reflectance),
+    };
+  }
 
-      const redTiff = await this.openGeoTiffFile(redBand);
-      if (signal.aborted) {
-        console.log("Abort after opening red band geotiff file");
-        return;
+  async readPixel(tiff, xy) {
+    const image = await tiff.getImage();
+    const [originX, originY] = image.getOrigin();
+    const [resolutionX, resolutionY] = image.getResolution();
+    const x = Math.floor((xy[0] - originX) / resolutionX);
+    const y = Math.floor((xy[1] - originY) / resolutionY);
+
+    if (x < 0 || y < 0 || x >= image.getWidth() || y >= image.getHeight())
+      return 0;
+
+    const release = await rasterReadSlots.acquire(null, null);
+    try {
+      const raster = await withRetry(image.readRasters.bind(image))({
+        pool: tiffUnpackPool,
+        window: [x, y, x + 1, y + 1],
+      });
+
+      return raster[0][0];
+    } finally {
+      release();
+    }
+  }
+
+  inspectIndex(pkg, reflectance) {
+    return null;
+  }
+
+  // Mean and median index value of the geometry for every acquisition date of pkg.dateRange.
+  // Scenes above pkg.maxCloudCoverage are skipped, observations with less than half of the pixels
+  // left after the scene classification filter are dropped
+  async getTimeSeries(pkg) {
+    this.#timeSeriesController?.abort();
+    const controller = this.#timeSeriesController = new AbortController();
+    const signal = controller.signal;
+
+    try {
+      const spectralIndex = getSpectralIndex(pkg.index);
+      const [minLng, minLat, maxLng, maxLat] = turf.bbox(pkg.geometry);
+      // The cloud cover limit of the panel replaces the one of the layer
+      const stacCatalog = this.getStacCatalog(pkg.provider, toStacDatetime(pkg.dateRange), null, pkg.maxCloudCoverage ?? 100);
+      const stacItems = await stacCatalog.fetchAllS2StacItems(
+        { lat: maxLat, lng: minLng }, { lat: minLat, lng: maxLng }, maxTimeSeriesItems);
+
+      const itemsByDate = new Map();
+      for (const stacItem of stacItems.sort((a, b) => a.properties.datetime.localeCompare(b.properties.datetime))) {
+        if (stacItem.properties["eo:cloud_cover"] > (pkg.maxCloudCoverage ?? 100))
+          continue;
+        if (!turf.booleanIntersects(pkg.geometry, stacItem.geometry))
+          continue;
+
+        const date = stacItem.properties.datetime.split('T')[0];
+        if (!itemsByDate.has(date))
+          itemsByDate.set(date, []);
+        itemsByDate.get(date).push(stacItem);
       }
 
-      const nirTiff = await this.openGeoTiffFile(nirBand);
-      if (signal.aborted) {
-        console.log("Abort after opening nir band geotiff file");
-        return;
+      const series = [];
+      let processedDates = 0;
+      for (const [date, dateItems] of itemsByDate) {
+        let values = [];
+        let dataPixelCount = 0;
+
+        for (const stacItem of dateItems) {
+          const geometryValues = await this.readGeometryValues(spectralIndex, stacItem, pkg.geometry, pkg.sceneClassFilter, signal);
+          if (signal.aborted)
+            return;
+
+          values = values.concat(Array.from(geometryValues.values));
+          dataPixelCount += geometryValues.dataPixelCount;
+        }
+
+        this.postTimeSeriesMessage(pkg, { progress: { done: ++processedDates, total: itemsByDate.size } });
+
+        if (values.length == 0 || values.length < dataPixelCount * minTimeSeriesValidFraction)
+          continue;
+
+        values.sort((a, b) => a - b);
+        series.push({
+          date: date,
+          sceneIds: dateItems.map(stacItem => stacItem.id),
+          mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+          median: median(values),
+          min: values[0],
+          max: values.at(-1),
+          count: values.length,
+          validFraction: values.length / dataPixelCount,
+        });
       }
 
-      await this.getCellRgbImage([redTiff, nirTiff], warpedImage, cellCoordsUtm, pkg.tileSize, signal);
+      this.postTimeSeriesMessage(pkg, { indexName: spectralIndex.id, series: series });
+    } catch (error) {
+      if (!signal.aborted)
+        this.postTimeSeriesMessage(pkg, { error: error.message });
     }
   }
-  
-  async getCellRgbImage(tiff, warpedImage, cellCoordsUtm, cellSize, signal) {
-    const bbox = turf.bbox(turf.lineString(cellCoordsUtm) );
-    const cellRed = await withRetry(tiff[0].readRasters.bind(tiff[0]))({
-      pool: tiffUnpackPool,
-      bbox: bbox,
-      resX: (bbox[2] - bbox[0])/cellSize.x,
-      resY: (bbox[3] - bbox[1])/cellSize.y,
-      signal: signal,
+
+  postTimeSeriesMessage(pkg, message) {
+    self.postMessage({
+      layerType: this.#layerType,
+      instanceId: pkg.instanceId,
+      type: "getTimeSeries",
+      ...message,
     });
+  }
+
+  // Index values of the valid pixels of a Point, Polygon or MultiPolygon geometry in one STAC item.
+  // dataPixelCount counts the pixels of the geometry with data, before scene classification masking
+  async readGeometryValues(spectralIndex, stacItem, geometry, sceneClassFilter, signal) {
+    const epsgCode = stacItem.properties["proj:epsg"];
+    const wgs84ToUTM = proj4("WGS84", `EPSG:${epsgCode}`);
+    const offset = reflectanceOffset(stacItem);
+
+    if (geometry.type == "Point") {
+      const utmXY = wgs84ToUTM.forward(geometry.coordinates);
+      const assets = sceneClassFilter ? [...spectralIndex.assets, "SCL"] : spectralIndex.assets;
+      const digitalNumbers = await Promise.all(assets.map(async asset =>
+        this.readPixel(await this.openGeoTiffFile(stacItem, asset), utmXY)));
+      const sceneClass = sceneClassFilter ? digitalNumbers.pop() : null;
+
+      if (!digitalNumbers.every(digitalNumber => digitalNumber > 0))
+        return { values: [], dataPixelCount: 0 };
+      if (sceneClassFilter && isMaskedSceneClass(sceneClass))
+        return { values: [], dataPixelCount: 1 };
+
+      const reflectance = {};
+      spectralIndex.assets.forEach((asset, i) => reflectance[asset] = (digitalNumbers[i] + offset) / 10000);
+      const value = spectralIndex.evaluate(reflectance);
+      return { values: Number.isFinite(value) ? [value] : [], dataPixelCount: 1 };
+    }
+
+    const polygons = projectPolygons(geometryPolygons(geometry), xy => wgs84ToUTM.forward(xy));
+    const [bbox, size] = this.geometryGrid(polygons);
+    const inside = rasterizePolygons(polygons, bbox, size.x, size.y);
+
+    const bands = {};
+    for (const asset of spectralIndex.assets) {
+      const tiff = await this.openGeoTiffFile(stacItem, asset);
+      bands[asset] = await this.readCellRaster(tiff, bbox, size, signal);
+      if (signal.aborted)
+        return { values: [], dataPixelCount: 0 };
+    }
+
+    const indexRaster = calculateIndexRaster(spectralIndex, bands, offset);
+    let dataPixelCount = 0;
+    for (let i = 0; i < inside.length; i++) {
+      inside[i] = inside[i] && indexRaster.valid[i];
+      dataPixelCount += inside[i];
+    }
+
+    if (sceneClassFilter && dataPixelCount > 0) {
+      const sceneClasses = await this.readCellRaster(await this.openGeoTiffFile(stacItem, "SCL"), bbox, size, signal, "nearest");
+      for (let i = 0; i < inside.length; i++)
+        if (isMaskedSceneClass(sceneClasses[0][i]))
+          inside[i] = 0;
+    }
+
+    return {
+      values: indexRaster[0].filter((value, i) => inside[i]),
+      dataPixelCount: dataPixelCount,
+    };
+  }
+
+  // Zonal statistics of the layer values inside a Polygon or MultiPolygon
+  async getZonalStats(pkg) {
+    this.#zonalStatsController?.abort();
+    const controller = this.#zonalStatsController = new AbortController();
 
-    const cellNir = await withRetry(tiff[1].readRasters.bind(tiff[1]))({
-      pool: tiffUnpackPool,
-      bbox: bbox,
-      resX: (bbox[2] - bbox[0])/cellSize.x,
-      resY: (bbox[3] - bbox[1])/cellSize.y,
-      signal: signal,
+    try {
+      const zonePkg = createAreaPkg(pkg.params, turf.bbox(pkg.geometry), maxGeometryPixels);
+      const [zoneRaster, usedStacItems] = await this.loadCellRaster(zonePkg, controller.signal);
+      if (controller.signal.aborted)
+        return;
+
+      const mask = rasterizePolygons(geometryPolygons(pkg.geometry), zonePkg.bbox, zonePkg.tileSize.x, zonePkg.tileSize.y);
+      const pixelCount = mask.reduce((sum, value) => sum + value, 0);
+      const channels = this.channelNames(zonePkg).map((name, channel) =>
+        zonalChannelStatistics(name, zoneRaster[channel], zoneRaster.valid, mask));
+
+      this.postZonalStatsMessage(pkg, {
+        stats: {
+          areaHa: turf.area(pkg.geometry) / 10000,
+          resolution: zonePkg.resolution,
+          pixelCount: pixelCount,
+          validPercent: pixelCount > 0 ? channels[0].count / pixelCount * 100 : 0,
+          dates: Array.from(new Set(usedStacItems.map(stacItem => stacItem.properties.datetime.split('T')[0]))),
+          channels: channels,
+          classes: this.zonalClasses(zonePkg, zoneRaster, mask, turf.area(pkg.geometry) / 10000),
+        },
+      });
+    } catch (error) {
+      if (!controller.signal.aborted)
+        this.postZonalStatsMessage(pkg, { error: error.message });
+    }
+  }
+
+  // Area per class of the layers drawing classes, null for the others
+  zonalClasses(zonePkg, zoneRaster, mask, areaHa) {
+    return null;
+  }
+
+  postZonalStatsMessage(pkg, message) {
+    self.postMessage({
+      layerType: this.#layerType,
+      instanceId: pkg.instanceId,
+      type: "getZonalStats",
+      ...message,
     });
+  }
 
-    const cellRGB = this.calculateNdvi(cellRed, cellNir);
-    await this.warpCellImage(cellRGB, warpedImage, cellCoordsUtm, bbox, cellSize);
-  }
-
-  calculateNdvi(redRaster, nirRaster) {
-    const rgbRaster = {
-      width: redRaster.width,
-      height: redRaster.height,
-      0: new Array(redRaster[0].length).fill(0),
-      1: new Array(redRaster[0].length).fill(0),
-      2: new Array(redRaster[0].length).fill(0),
-    }
-
-    for (let i = 0; i < redRaster[0].length; i++) {
-      if (!redRaster[0][i] && !nirRaster[0][i])
-        continue
-
-      let ndvi = (nirRaster[0][i] - redRaster[0][i]) / (nirRaster[0][i] + redRaster[0][i]);
-      ndvi = Math.max(0, Math.min(ndvi, 1));
-      const rgb = this.ndviToRGB(ndvi);
-      rgbRaster[0][i] = rgb[0];
-      rgbRaster[1][i] = rgb[1];
-      rgbRaster[2][i] = rgb[2];
-    }
-
-    return rgbRaster;
-  }
-
-  ndviToRGB(ndvi) {
-    // Define color stops: [ndvi, R, G, B]
-    const colormap = [
-      [0,     0xea, 0xea, 0xea],
-      [0.025, 0xff, 0xf9, 0xcc],
-      [0.05,  0xed, 0xe8, 0xb5],
-      [0.075, 0xdd, 0xd8, 0x9b],
-      [0.1,   0xcc, 0xc6, 0x82],
-      [0.125, 0xbc, 0xb7, 0x6b],
-      [0.15,  0xaf, 0xc1, 0x60],
-      [0.175, 0xa3, 0xcc, 0x59],
-      [0.2,   0x91, 0xbf, 0x51],
-      [0.25,  0x7f, 0xb2, 0x47],
-      [0.3,   0x70, 0xa3, 0x3f],
-      [0.35,  0x60, 0x96, 0x35],
-      [0.4,   0x4f, 0x89, 0x2d],
-      [0.45,  0x3f, 0x7c, 0x23],
-      [0.5,   0x30, 0x6d, 0x1c],
-      [0.55,  0x21, 0x60, 0x11],
-      [0.6,   0x0f, 0x54, 0x0a],
-      [1,     0x00, 0x44, 0x00],
-    ];
-
-    // Find surrounding stops
-    let lower = colormap[0];
-    let upper = colormap[colormap.length - 1];
-    for (let i = 0; i < colormap.length - 1; i++) {
-      if (ndvi >= colormap[i][0] && ndvi <= colormap[i + 1][0]) {
-        lower = colormap[i];
-        upper = colormap[i + 1];
-        break;
+  // Exports pkg.bbox, clipped to pkg.geometry when it is set, at the native resolution as
+  // "rgba" (rendered GeoTIFF), "values" (float32 GeoTIFF of the layer values, NaN without data)
+  // or "png" (rendered PNG with a world file)
+  async exportImage(pkg) {
+    this.#exportController?.abort();
+    const controller = this.#exportController = new AbortController();
+
+    try {
+      const areaPkg = createAreaPkg(pkg.params, pkg.bbox, maxExportPixels);
+      const [raster] = await this.loadCellRaster(areaPkg, controller.signal);
+      if (controller.signal.aborted)
+        return;
+
+      if (pkg.geometry != null) {
+        const mask = rasterizePolygons(geometryPolygons(pkg.geometry), areaPkg.bbox, areaPkg.tileSize.x, areaPkg.tileSize.y);
+        for (let i = 0; i < mask.length; i++)
+          raster.valid[i] &= mask[i];
+      }
+
+      const files = [];
+      if (pkg.format == "values") {
+        const channelCount = raster.length;
+        const values = new Float32Array(raster.valid.length * channelCount);
+        for (let i = 0; i < raster.valid.length; i++)
+          for (let channel = 0; channel < channelCount; channel++)
+            values[i * channelCount + channel] = raster.valid[i] ? raster[channel][i] : NaN;
+
+        const metadata = areaGeoTiffMetadata(areaPkg, new Array(channelCount).fill(32), new Array(channelCount).fill(3));
+        metadata.PhotometricInterpretation = 1;
+        files.push({ name: `${pkg.fileName}.tif`, blob: new Blob([writeArrayBuffer(values, metadata)], { type: "image/tiff" }) });
+      } else {
+        const image = this.renderTileImage(raster, areaPkg);
+
+        if (pkg.format == "png") {
+          files.push({ name: `${pkg.fileName}.png`, blob: await imageToPngBlob(image) });
+          files.push({ name: `${pkg.fileName}.pgw`, blob: new Blob([areaWorldFile(areaPkg)], { type: "text/plain" }) });
+        } else {
+          const metadata = areaGeoTiffMetadata(areaPkg, [8, 8, 8, 8], [1, 1, 1, 1]);
+          metadata.PhotometricInterpretation = 2;
+          metadata.ExtraSamples = 2;
+          const values = new Uint8Array(image.data.buffer);
+          files.push({ name: `${pkg.fileName}.tif`, blob: new Blob([writeArrayBuffer(values, metadata)], { type: "image/tiff" }) });
+        }
+      }
+
+      this.postExportMessage(pkg, { files: files, resolution: areaPkg.resolution });
+    } catch (error) {
+      if (!controller.signal.aborted)
+        this.postExportMessage(pkg, { error: error.message });
+    }
+  }
+
+  postExportMessage(pkg, message) {
+    self.postMessage({
+      layerType: this.#layerType,
+      instanceId: pkg.instanceId,
+      type: "exportImage",
+      ...message,
+    });
+  }
+
+  // Native 10 m grid over the polygons, coarser when it would exceed maxGeometryPixels
+  geometryGrid(polygons) {
+    const bbox = polygonsBbox(polygons);
+    const resolution = Math.max(10, Math.sqrt((bbox[2] - bbox[0]) * (bbox[3] - bbox[1]) / maxGeometryPixels));
+    const size = {
+      x: Math.max(1, Math.ceil((bbox[2] - bbox[0]) / resolution)),
+      y: Math.max(1, Math.ceil((bbox[3] - bbox[1]) / resolution)),
+    };
+
+    bbox[2] = bbox[0] + size.x * resolution;
+    bbox[1] = bbox[3] - size.y * resolution;
+    return [bbox, size];
+  }
+}
+
+class Sentinel2IndexDataLoader extends Sentinel2RgbDataLoader {
+  #indexId = null;
+
+  // indexId fixes the index of the layer, otherwise it comes from the layer params
+  constructor(maxCloudCoverage, layerType, indexId = null) {
+    super(maxCloudCoverage, layerType);
+    this.#indexId = indexId;
+  }
+
+  getIndex(pkg) {
+    return getSpectralIndex(this.#indexId ?? pkg.params?.index ?? "NDVI");
+  }
+
+  channelCount(pkg) {
+    return 1;
+  }
+
+  channelNames(pkg) {
+    return [this.getIndex(pkg).id];
+  }
+
+  inspectIndex(pkg, reflectance) {
+    const spectralIndex = this.getIndex(pkg);
+    const hasData = spectralIndex.assets.every(asset => reflectance[asset] != null);
+    const value = hasData ? spectralIndex.evaluate(reflectance) : null;
+    return {
+      name: spectralIndex.id,
+      value: Number.isFinite(value) ? value : null,
+    };
+  }
+
+  async readCompositeScore(mode, stacItem, bbox, cellSize, cellValues, signal) {
+    if (mode == "max")
+      return Float32Array.from(cellValues[0]);
+
+    return super.readCompositeScore(mode, stacItem, bbox, cellSize, cellValues, signal);
+  }
+
+  async readCellValues(pkg, stacItem, bbox, cellSize, signal) {
+    const spectralIndex = this.getIndex(pkg);
+    const bands = {};
+
+    for (const asset of spectralIndex.assets) {
+      const tiff = await this.openGeoTiffFile(stacItem, asset);
+      if (signal.aborted) {
+        console.log(`Abort after opening ${asset} band geotiff file`);
+        return null;
+      }
+
+      bands[asset] = await this.readCellRaster(tiff, bbox, cellSize, signal, this.resamplingMethod(pkg));
+      if (signal.aborted)
+        return null;
+    }
+
+    return calculateIndexRaster(spectralIndex, bands, reflectanceOffset(stacItem));
+  }
+
+  // Colormap and value stretch default to the ones of the spectral index
+  renderCellImage(cellRaster, pkg) {
+    const spectralIndex = this.getIndex(pkg);
+    const lookup = getColormap(pkg.params?.colormap ?? spectralIndex.colormap);
+    const minValue = pkg.params?.min ?? spectralIndex.range[0];
+    const maxValue = pkg.params?.max ?? spectralIndex.range[1];
+
+    const image = new ImageData(cellRaster.width, cellRaster.height);
+    const imageData = image.data;
+
+    for (let i = 0, dstOffset = 0; i < cellRaster.valid.length; i++, dstOffset += 4) {
+      if (!cellRaster.valid[i])
+        continue;
+
+      if (applyColormap(lookup, cellRaster[0][i], minValue, maxValue, imageData, dstOffset))
+        imageData[dstOffset + 3] = 255;
+    }
+
+    return image;
+  }
+}
+
+// Index difference of the layer date range and params.baseDateRange, the same period a year earlier when
+// it is not set. Drawn with the diverging colormap or, with params.changeClasses, as the change classes
+// of params.changeThresholds
+class Sentinel2ChangeDataLoader extends Sentinel2IndexDataLoader {
+  channelNames(pkg) {
+    return [`Δ${this.getIndex(pkg).id}`];
+  }
+
+  // The pinned scene is one of the layer date range, the "before" period takes its latest images
+  baseParams(params) {
+    return {
+      ...params,
+      dateRange: isDateRangeSet(params?.baseDateRange) ? params.baseDateRange : previousYearDateRange(params?.dateRange),
+      sceneId: undefined,
+    };
+  }
+
+  getThresholds(pkg) {
+    return createChangeThresholds(pkg.params?.changeThresholds?.[0], pkg.params?.changeThresholds?.[1]);
+  }
+
+  // Pixels are valid where both periods have data
+  async loadCellRaster(pkg, signal) {
+    const [cellRaster, usedStacItems, fullCoverage] = await super.loadCellRaster(pkg, signal);
+    if (signal.aborted)
+      return [cellRaster, usedStacItems, fullCoverage];
+
+    const [baseRaster, baseStacItems, baseFullCoverage] = await super.loadCellRaster({ ...pkg, params: this.baseParams(pkg.params) }, signal);
+    if (signal.aborted)
+      return [cellRaster, usedStacItems, false];
+
+    for (let i = 0; i < cellRaster.valid.length; i++) {
+      if (cellRaster.valid[i] && baseRaster.valid[i])
+        cellRaster[0][i] -= baseRaster[0][i];
+      else
+        cellRaster.valid[i] = 0;
+    }
+
+    return [cellRaster, [...usedStacItems, ...baseStacItems], fullCoverage && baseFullCoverage];
+  }
+
+  zonalClasses(zonePkg, zoneRaster, mask, areaHa) {
+    const counts = countChangeClasses(zoneRaster[0], zoneRaster.valid, mask, this.getThresholds(zonePkg));
+    const pixelCount = mask.reduce((sum, value) => sum + value, 0);
+    const validCount = counts.reduce((sum, count) => sum + count, 0);
+
+    return ChangeClasses.map((changeClass, i) => ({
+      name: changeClass.name,
+      color: changeClass.color,
+      areaHa: pixelCount > 0 ? counts[i] / pixelCount * areaHa : 0,
+      percent: validCount > 0 ? counts[i] / validCount * 100 : 0,
+    }));
+  }
+
+  renderCellImage(cellRaster, pkg) {
+    const thresholds = this.getThresholds(pkg);
+    const lookup = getColormap(changeColormap);
+    const image = new ImageData(cellRaster.width, cellRaster.height);
+    const imageData = image.data;
+
+    for (let i = 0, dstOffset = 0; i < cellRaster.valid.length; i++, dstOffset += 4) {
+      if (!cellRaster.valid[i])
+        continue;
+
+      if (!Number.isFinite(cellRaster[0][i]))
+        continue;
+
+      if (pkg.params?.changeClasses)
+        imageData.set(ChangeClasses[classifyChange(cellRaster[0][i], thresholds)].color, dstOffset);
+      else
+        applyColormap(lookup, cellRaster[0][i], -changeDisplayRange, changeDisplayRange, imageData, dstOffset);
+      imageData[dstOffset + 3] = 255;
+    }
+
+    return image;
+  }
+}
+
+class Sentinel2CompositeDataLoader extends Sentinel2RgbDataLoader {
+  #composite = null;
+
+  constructor(maxCloudCoverage, layerType, composite) {
+    super(maxCloudCoverage, layerType);
+    this.#composite = composite;
+  }
+
+  channelNames(pkg) {
+    return this.#composite.bands;
+  }
+
+  async readCellValues(pkg, stacItem, bbox, cellSize, signal) {
+    const bandRasters = [];
+
+    for (const asset of this.#composite.bands) {
+      const tiff = await this.openGeoTiffFile(stacItem, asset);
+      if (signal.aborted) {
+        console.log(`Abort after opening ${asset} band geotiff file`);
+        return null;
       }
+
+      bandRasters.push(await this.readCellRaster(tiff, bbox, cellSize, signal, this.resamplingMethod(pkg)));
+      if (signal.aborted)
+        return null;
     }
 
-    // Normalize position between stops
-    const t = (ndvi - lower[0]) / (upper[0] - lower[0]);
+    const offset = reflectanceOffset(stacItem);
+    const reflectance = createRaster(bandRasters[0].width, bandRasters[0].height, bandRasters.length);
+
+    for (let i = 0; i < reflectance.valid.length; i++) {
+      let hasData = true;
+      for (let band = 0; band < bandRasters.length && hasData; band++) {
+        const digitalNumber = bandRasters[band][0][i];
+        hasData = digitalNumber > 0;
+        reflectance[band][i] = (digitalNumber + offset) / 10000;
+      }
 
-    // Interpolate RGB
-    const r = Math.round(lower[1] + t * (upper[1] - lower[1]));
-    const g = Math.round(lower[2] + t * (upper[2] - lower[2]));
-    const b = Math.round(lower[3] + t * (upper[3] - lower[3]));
+      reflectance.valid[i] = hasData;
+    }
 
-    return [ r, g, b ];
+    return reflectance;
+  }
+
+  renderCellImage(cellRaster, pkg) {
+    const ranges = compositeStretchRanges(this.#composite);
+    const gamma = this.#composite.gamma;
+    const image = new ImageData(cellRaster.width, cellRaster.height);
+    const imageData = image.data;
+
+    for (let i = 0, dstOffset = 0; i < cellRaster.valid.length; i++, dstOffset += 4) {
+      if (!cellRaster.valid[i])
+        continue;
+
+      for (let band = 0; band < 3; band++)
+        imageData[dstOffset + band] = stretchValue(cellRaster[band][i], ranges[band], gamma);
+      imageData[dstOffset + 3] = 255;
+    }
+
+    return image;
+  }
+}
+
+// Scene classification (SCL) classes of the latest scenes, e.g. to show the clouds over another layer
+class Sentinel2SceneClassDataLoader extends Sentinel2RgbDataLoader {
+  #palette = new Uint8Array(256 * 3);
+
+  constructor(maxCloudCoverage, layerType) {
+    super(maxCloudCoverage, layerType);
+
+    for (const [sceneClass, color] of Object.entries(SceneClassColors)) {
+      const value = parseInt(color.slice(1), 16);
+      this.#palette.set([(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff], sceneClass * 3);
+    }
+  }
+
+  channelCount(pkg) {
+    return 1;
+  }
+
+  channelNames(pkg) {
+    return ["SCL"];
+  }
+
+  // Classes are shown as they are, masking them by class would hide the layer itself
+  async maskCloudyPixels(stacItem, bbox, cellSize, cellValues, signal) {
+  }
+
+  // Classes of different dates can not be combined, the latest scene is shown instead
+  async loadTemporalComposite(pkg, stacItems, cellRaster, mode, signal) {
+    return this.loadAndDrawTile(pkg, stacItems, cellRaster, signal);
+  }
+
+  resamplingMethod(pkg) {
+    return "nearest";
+  }
+
+  async readCellValues(pkg, stacItem, bbox, cellSize, signal) {
+    const tiff = await this.openGeoTiffFile(stacItem, "SCL");
+    if (signal.aborted)
+      return null;
+
+    const sceneClasses = await this.readCellRaster(tiff, bbox, cellSize, signal, "nearest");
+    sceneClasses.valid = new Uint8Array(sceneClasses.width * sceneClasses.height);
+    for (let i = 0; i < sceneClasses.valid.length; i++)
+      sceneClasses.valid[i] = sceneClasses[0][i] > 0;
+
+    return sceneClasses;
+  }
+
+  renderCellImage(cellRaster, pkg) {
+    const image = new ImageData(cellRaster.width, cellRaster.height);
+    const imageData = image.data;
+
+    for (let i = 0, dstOffset = 0; i < cellRaster.valid.length; i++, dstOffset += 4) {
+      if (!cellRaster.valid[i])
+        continue;
+
+      const colorOffset = cellRaster[0][i] * 3;
+      imageData[dstOffset] = this.#palette[colorOffset];
+      imageData[dstOffset + 1] = this.#palette[colorOffset + 1];
+      imageData[dstOffset + 2] = this.#palette[colorOffset + 2];
+      imageData[dstOffset + 3] = 255;
+    }
+
+    return image;
   }
 }
 
 const layerDataLoaders = new Map([
   [LayerType.Sentinel2RgbCloudless, new Sentinel2RgbDataLoader(10, LayerType.Sentinel2RgbCloudless)],
   [LayerType.Sentinel2RgbLatest, new Sentinel2RgbDataLoader(100, LayerType.Sentinel2RgbLatest)],
-  [LayerType.Sentinel2NdviCloudless, new Sentinel2NdviDataLoader(10, LayerType.Sentinel2NdviCloudless)],
-  [LayerType.Sentinel2NdviLatest, new Sentinel2NdviDataLoader(100, LayerType.Sentinel2NdviLatest)],
+  [LayerType.Sentinel2NdviCloudless, new Sentinel2IndexDataLoader(10, LayerType.Sentinel2NdviCloudless, "NDVI")],
+  [LayerType.Sentinel2NdviLatest, new Sentinel2IndexDataLoader(100, LayerType.Sentinel2NdviLatest, "NDVI")],
+  [LayerType.Sentinel2IndexCloudless, new Sentinel2IndexDataLoader(10, LayerType.Sentinel2IndexCloudless)],
+  [LayerType.Sentinel2IndexLatest, new Sentinel2IndexDataLoader(100, LayerType.Sentinel2IndexLatest)],
+  [LayerType.Sentinel2IndexChange, new Sentinel2ChangeDataLoader(10, LayerType.Sentinel2IndexChange)],
+  [LayerType.Sentinel2FalseColor, new Sentinel2CompositeDataLoader(10, LayerType.Sentinel2FalseColor, BandComposites.falseColor)],
+  [LayerType.Sentinel2Swir, new Sentinel2CompositeDataLoader(10, LayerType.Sentinel2Swir, BandComposites.swir)],
+  [LayerType.Sentinel2Agriculture, new Sentinel2CompositeDataLoader(10, LayerType.Sentinel2Agriculture, BandComposites.agriculture)],
+  [LayerType.Sentinel2SceneClassification, new Sentinel2SceneClassDataLoader(100, LayerType.Sentinel2SceneClassification)],
 ]);
 
 self.onmessage = (pkg) => {
+  if (pkg.data.type == "stacSearchResult") {
+    onStacSearchResult(pkg.data);
+    return;
+  }
+
+  if (pkg.data.type == "viewport") {
+    onViewport(pkg.data);
+    return;
+  }
+
+  if (pkg.data.type == "providerToken") {
+    setProviderToken(pkg.data.providerId, pkg.data.token);
+    return;
+  }
+
   if (!layerDataLoaders.has(pkg.data.layerType))
   {
     console.log(`Unknown layerType=${pkg.data.layerType} in pkg`);
@@ -426,7 +1795,34 @@ self.onmessage = (pkg) => {
       dataLoader.unloadTile(pkg.data);
       break;
     case "getImagesDates":
-      dataLoader.getImagesDates();
+      dataLoader.getImagesDates(pkg.data);
+      break;
+    case "inspectPixel":
+      dataLoader.inspectPixel(pkg.data);
+      break;
+    case "getTimeSeries":
+      dataLoader.getTimeSeries(pkg.data);
+      break;
+    case "getZonalStats":
+      dataLoader.getZonalStats(pkg.data);
+      break;
+    case "exportImage":
+      dataLoader.exportImage(pkg.data);
+      break;
+    case "getSceneList":
+      dataLoader.getSceneList(pkg.data);
+      break;
+    case "getFootprints":
+      dataLoader.getFootprints(pkg.data);
+      break;
+    case "precacheTiles":
+      dataLoader.precacheTiles(pkg.data);
+      break;
+    case "cancelPrecache":
+      dataLoader.cancelPrecache(pkg.data);
+      break;
+    case "getViewportStretch":
+      dataLoader.getViewportStretch(pkg.data);
       break;
   }
 };
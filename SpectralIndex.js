@@ -0,0 +1,208 @@
+export const SpectralIndices = Object.freeze({
+  NDVI: {
+    name: "NDVI (vegetation)",
+    expression: "(B08 - B04) / (B08 + B04)",
+    assets: ["B08", "B04"],
+    range: [0, 1],
+    colormap: "ndvi",
+  },
+  NDWI: {
+    name: "NDWI (open water)",
+    expression: "(B03 - B08) / (B03 + B08)",
+    assets: ["B03", "B08"],
+    range: [-0.5, 0.5],
+    colormap: "diverging",
+  },
+  NDMI: {
+    name: "NDMI (vegetation moisture)",
+    expression: "(B08 - B11) / (B08 + B11)",
+    assets: ["B08", "B11"],
+    range: [-0.5, 0.5],
+    colormap: "diverging",
+  },
+  NBR: {
+    name: "NBR (burned areas)",
+    expression: "(B08 - B12) / (B08 + B12)",
+    assets: ["B08", "B12"],
+    range: [-0.5, 1],
+    colormap: "RdYlGn",
+  },
+  EVI: {
+    name: "EVI (enhanced vegetation)",
+    expression: "2.5 * (B08 - B04) / (B08 + 6 * B04 - 7.5 * B02 + 1)",
+    assets: ["B08", "B04", "B02"],
+    range: [0, 1],
+    colormap: "ndvi",
+  },
+  SAVI: {
+    name: "SAVI (soil adjusted vegetation)",
+    expression: "1.5 * (B08 - B04) / (B08 + B04 + 0.5)",
+    assets: ["B08", "B04"],
+    range: [0, 1],
+    colormap: "ndvi",
+  },
+  NDRE: {
+    name: "NDRE (red edge chlorophyll)",
+    expression: "(B08 - B05) / (B08 + B05)",
+    assets: ["B08", "B05"],
+    range: [0, 0.6],
+    colormap: "RdYlGn",
+  },
+});
+
+export const BandAssets = Object.freeze([
+  "B01", "B02", "B03", "B04", "B05", "B06", "B07", "B08", "B8A", "B09", "B11", "B12",
+]);
+
+const customIndexRange = [-1, 1];
+const customIndexColormap = "viridis";
+
+function tokenize(expression) {
+  const tokens = [];
+  const tokenRegex = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z][A-Za-z0-9]*)|([-+*/^()]))/y;
+
+  let position = 0;
+  while (position < expression.length) {
+    if (expression.slice(position).trim() == "")
+      break;
+
+    tokenRegex.lastIndex = position;
+    const match = tokenRegex.exec(expression);
+    if (match == null)
+      throw new Error(`Unexpected character "${expression.slice(position).trim()[0]}" in expression`);
+
+    if (match[1] != null)
+      tokens.push({ type: "number", value: parseFloat(match[1]) });
+    else if (match[2] != null)
+      tokens.push({ type: "band", value: normalizeBandName(match[2]) });
+    else
+      tokens.push({ type: "operator", value: match[3] });
+
+    position = tokenRegex.lastIndex;
+  }
+
+  return tokens;
+}
+
+function normalizeBandName(name) {
+  const bandName = name.toUpperCase().replace(/^B(\d)$/, "B0$1");
+  if (!BandAssets.includes(bandName))
+    throw new Error(`Unknown band "${name}", expected one of ${BandAssets.join(", ")}`);
+
+  return bandName;
+}
+
+// Recursive descent parser, each node is compiled into a closure taking a { band: reflectance } object
+function parse(tokens) {
+  let position = 0;
+  const assets = new Set();
+
+  const peek = () => tokens[position];
+  const isOperator = (token, operators) => token?.type == "operator" && operators.includes(token.value);
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (isOperator(peek(), "+-")) {
+      const operator = tokens[position++].value;
+      const left = node, right = parseTerm();
+      node = operator == "+" ? values => left(values) + right(values) : values => left(values) - right(values);
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOperator(peek(), "*/")) {
+      const operator = tokens[position++].value;
+      const left = node, right = parseUnary();
+      node = operator == "*" ? values => left(values) * right(values) : values => left(values) / right(values);
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOperator(peek(), "-")) {
+      position++;
+      const operand = parseUnary();
+      return values => -operand(values);
+    }
+    if (isOperator(peek(), "+")) {
+      position++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOperator(peek(), "^")) {
+      position++;
+      const exponent = parseUnary();
+      return values => Math.pow(base(values), exponent(values));
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (token == null)
+      throw new Error("Unexpected end of expression");
+
+    if (token.type == "number") {
+      const value = token.value;
+      return () => value;
+    }
+
+    if (token.type == "band") {
+      const band = token.value;
+      assets.add(band);
+      return values => values[band];
+    }
+
+    if (isOperator(token, "(")) {
+      const node = parseExpression();
+      if (!isOperator(tokens[position++], ")"))
+        throw new Error("Missing closing parenthesis");
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}" in expression`);
+  }
+
+  const evaluate = parseExpression();
+  if (position < tokens.length)
+    throw new Error(`Unexpected "${tokens[position].value}" in expression`);
+  if (assets.size == 0)
+    throw new Error("Expression does not use any band");
+
+  return [evaluate, Array.from(assets)];
+}
+
+export function compileIndexExpression(expression) {
+  const [evaluate, assets] = parse(tokenize(expression));
+  return {
+    expression: expression,
+    assets: assets,
+    range: customIndexRange,
+    colormap: customIndexColormap,
+    evaluate: evaluate,
+  };
+}
+
+const compiledIndices = new Map();
+
+// indexId is either a SpectralIndices key or a user band-math expression
+export function getSpectralIndex(indexId) {
+  if (!compiledIndices.has(indexId)) {
+    let spectralIndex = null;
+    if (Object.hasOwn(SpectralIndices, indexId)) {
+      const definition = SpectralIndices[indexId];
+      spectralIndex = { ...compileIndexExpression(definition.expression), ...definition, id: indexId };
+    } else
+      spectralIndex = { ...compileIndexExpression(indexId), name: indexId, id: indexId };
+
+    compiledIndices.set(indexId, spectralIndex);
+  }
+
+  return compiledIndices.get(indexId);
+}
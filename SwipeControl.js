@@ -0,0 +1,108 @@
+export class SwipeControl extends L.Control {
+  #leftLayers = [];
+  #rightLayers = [];
+  #ratio = 0.5;
+  #range = null;
+  #divider = null;
+
+  constructor(options) {
+    super(options);
+    this.#ratio = options?.ratio ?? 0.5;
+  }
+
+  getRatio() {
+    return this.#ratio;
+  }
+
+  setRatio(ratio) {
+    this.#ratio = ratio;
+    if (this.#range != null)
+      this.#range.value = ratio;
+    this.updateClip();
+  }
+
+  setLayers(leftLayers, rightLayers) {
+    this.clearClip();
+    this.#leftLayers = leftLayers.filter(layer => layer != null);
+    this.#rightLayers = rightLayers.filter(layer => layer != null);
+    this.updateClip();
+  }
+
+  addTo(map) {
+    this.remove();
+    this._map = map;
+
+    const container = this._container = this.onAdd(map);
+    map.getContainer().appendChild(container);
+    map.on('unload', this.remove, this);
+
+    return this;
+  }
+
+  onAdd(map) {
+    const container = L.DomUtil.create('div', 'swipe-control');
+    this.#divider = L.DomUtil.create('div', 'swipe-divider', container);
+    this.#range = L.DomUtil.create('input', 'swipe-range', container);
+    this.#range.type = 'range';
+    this.#range.min = 0;
+    this.#range.max = 1;
+    this.#range.step = 'any';
+    this.#range.value = this.#ratio;
+
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.on(this.#range, 'mousedown touchstart pointerdown', L.DomEvent.stopPropagation);
+    L.DomEvent.on(this.#range, 'input', () => {
+      this.#ratio = parseFloat(this.#range.value);
+      this.updateClip();
+      this.fire('swipe', { ratio: this.#ratio });
+    });
+    L.DomEvent.on(this.#range, 'change', () => this.fire('swipeend', { ratio: this.#ratio }));
+
+    map.on('move layeradd', this.updateClip, this);
+    setTimeout(() => this.updateClip());
+
+    return container;
+  }
+
+  onRemove(map) {
+    map.off('move layeradd', this.updateClip, this);
+    this.clearClip();
+  }
+
+  clearClip() {
+    for (const layer of [...this.#leftLayers, ...this.#rightLayers]) {
+      const container = layer.getContainer?.();
+      if (container != null)
+        container.style.clip = '';
+    }
+  }
+
+  updateClip() {
+    if (this._map == null)
+      return;
+
+    const size = this._map.getSize();
+    const nw = this._map.containerPointToLayerPoint([0, 0]);
+    const se = this._map.containerPointToLayerPoint(size);
+    const clipX = nw.x + size.x * this.#ratio;
+
+    this.#divider.style.left = `${size.x * this.#ratio}px`;
+
+    const clipLeft = `rect(${nw.y}px, ${clipX}px, ${se.y}px, ${nw.x}px)`;
+    const clipRight = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${clipX}px)`;
+
+    for (const layer of this.#leftLayers) {
+      const container = layer.getContainer?.();
+      if (container != null)
+        container.style.clip = clipLeft;
+    }
+
+    for (const layer of this.#rightLayers) {
+      const container = layer.getContainer?.();
+      if (container != null)
+        container.style.clip = clipRight;
+    }
+  }
+}
+
+SwipeControl.include(L.Evented.prototype);
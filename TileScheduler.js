@@ -0,0 +1,157 @@
+// Scheduling of the cell loads of a render worker. A cell is described by { instanceId, coords, prefetch, unloaded },
+// the viewport of its layer instance by { zoom, center, tileRange: { min, max } } in tile units of zoom.
+// Lower priorities go first: the visible cells by their distance to the viewport centre, then the cells
+// scrolled out of view, the unloaded ones waiting for their abort and last the prefetched ones
+const outOfViewPenalty = 100;
+const unloadedPenalty = 1000;
+const prefetchPenalty = 10000;
+
+// Prefetching stops after this many cells per viewport
+const maxPrefetchCells = 24;
+
+function isInTileRange(coords, tileRange) {
+  return coords.x >= tileRange.min.x && coords.x <= tileRange.max.x &&
+    coords.y >= tileRange.min.y && coords.y <= tileRange.max.y;
+}
+
+export function cellPriority(cell, viewport) {
+  let priority = 0;
+  if (viewport != null) {
+    // Distance in tiles of the viewport zoom, so that the cells of other zooms compare with the visible ones
+    const scale = Math.pow(2, cell.coords.z - viewport.zoom);
+    priority = Math.hypot((cell.coords.x + 0.5) / scale - viewport.center.x, (cell.coords.y + 0.5) / scale - viewport.center.y);
+    if (cell.coords.z != viewport.zoom || !isInTileRange(cell.coords, viewport.tileRange))
+      priority += outOfViewPenalty;
+  }
+
+  if (cell.unloaded)
+    priority += unloadedPenalty;
+  if (cell.prefetch)
+    priority += prefetchPenalty;
+  return priority;
+}
+
+// Semaphore handing its free slots to the waiting job of the lowest priorityOf(job), the priorities
+// are computed when a slot frees up, so they follow the viewport changes of the waiting jobs
+export class PrioritySemaphore {
+  #slots = 0;
+  #running = 0;
+  #priorityOf = null;
+  #waiting = [];
+
+  constructor(slots, priorityOf) {
+    this.#slots = slots;
+    this.#priorityOf = priorityOf;
+  }
+
+  // True without running and waiting jobs
+  get idle() {
+    return this.#running == 0 && this.#waiting.length == 0;
+  }
+
+  // Resolves with the function releasing the slot, or with null when signal aborts before the job got one
+  acquire(signal, job) {
+    if (signal?.aborted)
+      return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      const waiter = { job: job, resolve: resolve };
+      this.#waiting.push(waiter);
+
+      signal?.addEventListener("abort", () => {
+        const index = this.#waiting.indexOf(waiter);
+        if (index != -1) {
+          this.#waiting.splice(index, 1);
+          resolve(null);
+        }
+      }, { once: true });
+
+      this.#next();
+    });
+  }
+
+  #next() {
+    while (this.#running < this.#slots && this.#waiting.length > 0) {
+      let best = 0;
+      let bestPriority = this.#priorityOf(this.#waiting[0].job);
+      for (let i = 1; i < this.#waiting.length; i++) {
+        const priority = this.#priorityOf(this.#waiting[i].job);
+        if (priority < bestPriority) {
+          best = i;
+          bestPriority = priority;
+        }
+      }
+
+      const [waiter] = this.#waiting.splice(best, 1);
+      this.#running++;
+
+      let released = false;
+      waiter.resolve(() => {
+        if (released)
+          return;
+
+        released = true;
+        this.#running--;
+        this.#next();
+      });
+    }
+  }
+}
+
+// Cells around the viewport that are not visible yet: the ring of tiles next to it and the tiles of the
+// next zoom level under its centre, nearest first. maxZoom is the last zoom with cells of the layer
+export function prefetchCoords(viewport, maxZoom) {
+  const { min, max } = viewport.tileRange;
+  const coords = [];
+
+  for (let x = min.x - 1; x <= max.x + 1; x++)
+    for (let y = min.y - 1; y <= max.y + 1; y++)
+      coords.push({ x: x, y: y, z: viewport.zoom });
+
+  if (viewport.zoom < maxZoom) {
+    const centerX = Math.floor(viewport.center.x * 2);
+    const centerY = Math.floor(viewport.center.y * 2);
+    for (let x = centerX - 2; x <= centerX + 1; x++)
+      for (let y = centerY - 2; y <= centerY + 1; y++)
+        coords.push({ x: x, y: y, z: viewport.zoom + 1 });
+  }
+
+  // The tiles wrap around the antimeridian like the ones of the layer
+  const keys = new Set();
+  return coords
+    .filter(({ y, z }) => y >= 0 && y < Math.pow(2, z))
+    .map(({ x, y, z }) => ({ x: ((x % Math.pow(2, z)) + Math.pow(2, z)) % Math.pow(2, z), y: y, z: z }))
+    .filter(cell => {
+      const key = `${cell.z}/${cell.x}/${cell.y}`;
+      const isNew = !keys.has(key) && !(cell.z == viewport.zoom && isInTileRange(cell, viewport.tileRange));
+      keys.add(key);
+      return isNew;
+    })
+    .sort((a, b) => cellPriority({ coords: a }, viewport) - cellPriority({ coords: b }, viewport))
+    .slice(0, maxPrefetchCells);
+}
+
+// The cell of the Web Mercator tile, the same as Sentinel2GridLayer.getCellInfo for the tiles it did not create
+export function mercatorTileCell(coords, tileSize) {
+  const tileCount = Math.pow(2, coords.z);
+  const toLatLng = (x, y) => ({
+    lat: (2 * Math.atan(Math.exp(Math.PI * (1 - 2 * y / tileCount))) - Math.PI / 2) * 180 / Math.PI,
+    lng: x / tileCount * 360 - 180,
+  });
+  const coordsTopLeft = toLatLng(coords.x, coords.y);
+  const coordsBottomRight = toLatLng(coords.x + 1, coords.y + 1);
+
+  return {
+    key: `${coords.z}/${coords.x}/${coords.y}`,
+    coords: coords,
+    coordsTopLeft: coordsTopLeft,
+    coordsBottomRight: coordsBottomRight,
+    cellCoords: [
+      [coordsTopLeft.lng, coordsTopLeft.lat],
+      [coordsBottomRight.lng, coordsTopLeft.lat],
+      [coordsBottomRight.lng, coordsBottomRight.lat],
+      [coordsTopLeft.lng, coordsBottomRight.lat],
+    ],
+    tileSize: tileSize,
+  };
+}
@@ -0,0 +1,166 @@
+const chartWidth = 640;
+const chartHeight = 200;
+const chartPadding = { left: 44, right: 12, top: 10, bottom: 24 };
+const svgNamespace = "http://www.w3.org/2000/svg";
+
+function createSvgElement(name, attributes) {
+  const element = document.createElementNS(svgNamespace, name);
+  for (const [attribute, value] of Object.entries(attributes))
+    element.setAttribute(attribute, value);
+
+  return element;
+}
+
+function seriesToCsv(series) {
+  const rows = series.map(entry => [
+    entry.date,
+    entry.sceneIds.join(" "),
+    entry.mean,
+    entry.median,
+    entry.min,
+    entry.max,
+    entry.count,
+    entry.validFraction.toFixed(3),
+  ].join(","));
+
+  return ["date,scene_ids,mean,median,min,max,pixel_count,valid_fraction", ...rows].join("\n");
+}
+
+// Bottom panel with the index time series chart of a point or polygon.
+// requestFunc(options) is called with { sceneClassFilter, maxCloudCoverage } every time the filters change
+export class TimeSeriesPanel {
+  #container = null;
+  #requestFunc = null;
+  #indexName = null;
+  #series = [];
+
+  constructor() {
+    this.#container = document.createElement('div');
+    this.#container.className = 'time-series-panel';
+    this.#container.innerHTML = `
+      <div class="time-series-header">
+        <span class="time-series-title"></span>
+        <label><input type="checkbox" name="scl" checked> Filter clouds with SCL</label>
+        <label>Max scene cloud cover <input type="number" name="cloudCover" min="0" max="100" value="50">%</label>
+        <button type="button" name="csv" disabled>CSV</button>
+        <button type="button" name="close" title="Close">×</button>
+      </div>
+      <div class="time-series-status"></div>
+      <svg class="time-series-chart" viewBox="0 0 ${chartWidth} ${chartHeight}"></svg>`;
+
+    this.#container.querySelector('input[name="scl"]').addEventListener('change', () => this.#request());
+    this.#container.querySelector('input[name="cloudCover"]').addEventListener('change', () => this.#request());
+    this.#container.querySelector('button[name="csv"]').addEventListener('click', () => this.#downloadCsv());
+    this.#container.querySelector('button[name="close"]').addEventListener('click', () => this.close());
+
+    document.body.appendChild(this.#container);
+  }
+
+  open(title, requestFunc) {
+    this.#requestFunc = requestFunc;
+    this.#container.querySelector('.time-series-title').textContent = title;
+    this.#container.classList.add('open');
+    this.#request();
+  }
+
+  close() {
+    this.#requestFunc = null;
+    this.#container.classList.remove('open');
+  }
+
+  isOpen() {
+    return this.#requestFunc != null;
+  }
+
+  setProgress(progress) {
+    this.#setStatus(`Reading scenes ${progress.done} / ${progress.total}…`);
+  }
+
+  setSeries(indexName, series) {
+    this.#indexName = indexName;
+    this.#series = series;
+    this.#container.querySelector('button[name="csv"]').disabled = series.length == 0;
+    this.#setStatus(series.length == 0 ? "No cloud free observations found" : `${indexName}, ${series.length} observations`);
+    this.#renderChart();
+  }
+
+  setError(error) {
+    this.setSeries(this.#indexName, []);
+    this.#setStatus(error);
+  }
+
+  #request() {
+    if (this.#requestFunc == null)
+      return;
+
+    const maxCloudCoverage = parseFloat(this.#container.querySelector('input[name="cloudCover"]').value);
+    this.#series = [];
+    this.#container.querySelector('button[name="csv"]').disabled = true;
+    this.#renderChart();
+    this.#setStatus("Searching scenes…");
+
+    this.#requestFunc({
+      sceneClassFilter: this.#container.querySelector('input[name="scl"]').checked,
+      maxCloudCoverage: Number.isFinite(maxCloudCoverage) ? maxCloudCoverage : 100,
+    });
+  }
+
+  #setStatus(text) {
+    this.#container.querySelector('.time-series-status').textContent = text;
+  }
+
+  #renderChart() {
+    const svg = this.#container.querySelector('.time-series-chart');
+    svg.replaceChildren();
+    if (this.#series.length == 0)
+      return;
+
+    const times = this.#series.map(entry => Date.parse(entry.date));
+    const minTime = times[0];
+    const maxTime = Math.max(times.at(-1), minTime + 86400000);
+    const minValue = Math.min(0, ...this.#series.map(entry => entry.mean));
+    const maxValue = Math.max(...this.#series.map(entry => entry.mean), minValue + 0.1);
+
+    const plotWidth = chartWidth - chartPadding.left - chartPadding.right;
+    const plotHeight = chartHeight - chartPadding.top - chartPadding.bottom;
+    const x = time => chartPadding.left + (time - minTime) / (maxTime - minTime) * plotWidth;
+    const y = value => chartPadding.top + (maxValue - value) / (maxValue - minValue) * plotHeight;
+
+    for (const value of [minValue, (minValue + maxValue) / 2, maxValue]) {
+      svg.appendChild(createSvgElement('line', {
+        x1: chartPadding.left, x2: chartWidth - chartPadding.right, y1: y(value), y2: y(value), class: 'time-series-grid',
+      }));
+      const label = createSvgElement('text', { x: chartPadding.left - 4, y: y(value) + 4, 'text-anchor': 'end' });
+      label.textContent = value.toFixed(2);
+      svg.appendChild(label);
+    }
+
+    for (const [time, anchor] of [[minTime, 'start'], [maxTime, 'end']]) {
+      const label = createSvgElement('text', { x: x(time), y: chartHeight - 6, 'text-anchor': anchor });
+      label.textContent = new Date(time).toISOString().split('T')[0];
+      svg.appendChild(label);
+    }
+
+    const points = this.#series.map((entry, i) => `${x(times[i])},${y(entry.mean)}`).join(" ");
+    svg.appendChild(createSvgElement('polyline', { points: points, class: 'time-series-line' }));
+
+    this.#series.forEach((entry, i) => {
+      const point = createSvgElement('circle', { cx: x(times[i]), cy: y(entry.mean), r: 3, class: 'time-series-point' });
+      const tooltip = createSvgElement('title', {});
+      tooltip.textContent = `${entry.date}\nmean ${entry.mean.toFixed(3)}, median ${entry.median.toFixed(3)}\n` +
+        `${entry.count} pixels, ${Math.round(entry.validFraction * 100)}% clear`;
+      point.appendChild(tooltip);
+      svg.appendChild(point);
+    });
+  }
+
+  #downloadCsv() {
+    const blob = new Blob([seriesToCsv(this.#series)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${this.#indexName ?? "index"}_time_series.csv`.replace(/[^\w.-]+/g, "_");
+    link.click();
+    // Revoked later, the download may not have started yet
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+}
@@ -0,0 +1,193 @@
+// Warping of the scene rasters read in UTM into the cells of the map.
+// The exact transform of the cell pixels is computed on a sub-grid of nodes every warpGridStep pixels
+// and interpolated in between, which stays well under a pixel of error from zoom 8 to 16
+export const ResamplingMethods = Object.freeze({
+  nearest: "Nearest neighbour",
+  bilinear: "Bilinear",
+  cubic: "Cubic",
+});
+
+export const defaultResampling = "bilinear";
+export const warpGridStep = 16;
+
+// Maps the pixel corner coordinates of a Web Mercator cell to [lng, lat]
+export function mercatorPixelToLngLat(topLeft, bottomRight, width, height) {
+  const toMercatorY = lat => Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360));
+  const top = toMercatorY(topLeft.lat);
+  const bottom = toMercatorY(bottomRight.lat);
+
+  return (x, y) => [
+    topLeft.lng + (bottomRight.lng - topLeft.lng) * x / width,
+    (2 * Math.atan(Math.exp(top + (bottom - top) * y / height)) - Math.PI / 2) * 180 / Math.PI,
+  ];
+}
+
+// Same for a cell on a regular lon/lat grid, e.g. the export areas
+export function linearPixelToLngLat(topLeft, bottomRight, width, height) {
+  return (x, y) => [
+    topLeft.lng + (bottomRight.lng - topLeft.lng) * x / width,
+    topLeft.lat + (bottomRight.lat - topLeft.lat) * y / height,
+  ];
+}
+
+// Source coordinates of the grid nodes, pixelToSource(x, y) is called with the pixel corner coordinates
+export function createWarpGrid(width, height, pixelToSource, step = warpGridStep) {
+  const columns = Math.ceil(width / step) + 1;
+  const rows = Math.ceil(height / step) + 1;
+  const xs = new Float64Array(columns * rows);
+  const ys = new Float64Array(columns * rows);
+
+  for (let row = 0; row < rows; row++)
+    for (let column = 0; column < columns; column++) {
+      const [x, y] = pixelToSource(Math.min(column * step, width), Math.min(row * step, height));
+      xs[row * columns + column] = x;
+      ys[row * columns + column] = y;
+    }
+
+  return { width: width, height: height, step: step, columns: columns, rows: rows, xs: xs, ys: ys };
+}
+
+// [minX, minY, maxX, maxY] of the grid nodes, the source area to read for the cell
+export function warpGridBbox(grid) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < grid.xs.length; i++) {
+    minX = Math.min(minX, grid.xs[i]);
+    maxX = Math.max(maxX, grid.xs[i]);
+    minY = Math.min(minY, grid.ys[i]);
+    maxY = Math.max(maxY, grid.ys[i]);
+  }
+
+  return [minX, minY, maxX, maxY];
+}
+
+// Source coordinates of the pixel position (x, y), bilinear between the grid nodes
+export function sampleWarpGrid(grid, x, y) {
+  const column = Math.min(Math.floor(x / grid.step), grid.columns - 2);
+  const row = Math.min(Math.floor(y / grid.step), grid.rows - 2);
+  const x0 = column * grid.step, y0 = row * grid.step;
+  const fx = (x - x0) / (Math.min(x0 + grid.step, grid.width) - x0);
+  const fy = (y - y0) / (Math.min(y0 + grid.step, grid.height) - y0);
+
+  const i = row * grid.columns + column;
+  const j = i + grid.columns;
+  return [
+    (grid.xs[i] * (1 - fx) + grid.xs[i + 1] * fx) * (1 - fy) + (grid.xs[j] * (1 - fx) + grid.xs[j + 1] * fx) * fy,
+    (grid.ys[i] * (1 - fx) + grid.ys[i + 1] * fx) * (1 - fy) + (grid.ys[j] * (1 - fx) + grid.ys[j + 1] * fx) * fy,
+  ];
+}
+
+function clampIndex(i, size) {
+  return i < 0 ? 0 : (i >= size ? size - 1 : i);
+}
+
+// (u, v) are source pixel coordinates with the pixel centers at integers
+function nearestOffset(source, u, v) {
+  return clampIndex(Math.round(v), source.height) * source.width + clampIndex(Math.round(u), source.width);
+}
+
+function sampleNearest(source, u, v, target, dstOffset) {
+  const srcOffset = nearestOffset(source, u, v);
+  for (let c = 0; c < target.length; c++)
+    target[c][dstOffset] = source[c][srcOffset];
+}
+
+// Weights of the neighbours without data are left out, so that the scene edges keep their values
+function sampleBilinear(source, u, v, target, dstOffset) {
+  const x0 = Math.floor(u), y0 = Math.floor(v);
+  const fx = u - x0, fy = v - y0;
+  const columns = [clampIndex(x0, source.width), clampIndex(x0 + 1, source.width)];
+  const rows = [clampIndex(y0, source.height), clampIndex(y0 + 1, source.height)];
+  const weights = [(1 - fx) * (1 - fy), fx * (1 - fy), (1 - fx) * fy, fx * fy];
+  const offsets = [
+    rows[0] * source.width + columns[0], rows[0] * source.width + columns[1],
+    rows[1] * source.width + columns[0], rows[1] * source.width + columns[1],
+  ];
+
+  let weightSum = 0;
+  for (let k = 0; k < 4; k++) {
+    if (!source.valid[offsets[k]])
+      weights[k] = 0;
+    weightSum += weights[k];
+  }
+
+  if (weightSum < 1e-9) {
+    sampleNearest(source, u, v, target, dstOffset);
+    return;
+  }
+
+  for (let c = 0; c < target.length; c++) {
+    const channel = source[c];
+    target[c][dstOffset] = (channel[offsets[0]] * weights[0] + channel[offsets[1]] * weights[1] +
+      channel[offsets[2]] * weights[2] + channel[offsets[3]] * weights[3]) / weightSum;
+  }
+}
+
+// Catmull-Rom weights of the 4 samples around t in [0, 1)
+function cubicWeights(t) {
+  const t2 = t * t, t3 = t2 * t;
+  return [
+    (-t3 + 2 * t2 - t) / 2,
+    (3 * t3 - 5 * t2 + 2) / 2,
+    (-3 * t3 + 4 * t2 + t) / 2,
+    (t3 - t2) / 2,
+  ];
+}
+
+// Falls back to bilinear next to pixels without data
+function sampleCubic(source, u, v, target, dstOffset) {
+  const x0 = Math.floor(u), y0 = Math.floor(v);
+  const weightsX = cubicWeights(u - x0);
+  const weightsY = cubicWeights(v - y0);
+  const offsets = new Array(16);
+
+  for (let j = 0; j < 4; j++) {
+    const row = clampIndex(y0 - 1 + j, source.height) * source.width;
+    for (let i = 0; i < 4; i++) {
+      offsets[j * 4 + i] = row + clampIndex(x0 - 1 + i, source.width);
+      if (!source.valid[offsets[j * 4 + i]]) {
+        sampleBilinear(source, u, v, target, dstOffset);
+        return;
+      }
+    }
+  }
+
+  for (let c = 0; c < target.length; c++) {
+    const channel = source[c];
+    let value = 0;
+    for (let j = 0; j < 4; j++)
+      for (let i = 0; i < 4; i++)
+        value += channel[offsets[j * 4 + i]] * weightsX[i] * weightsY[j];
+    target[c][dstOffset] = value;
+  }
+}
+
+const samplers = {
+  nearest: sampleNearest,
+  bilinear: sampleBilinear,
+  cubic: sampleCubic,
+};
+
+// Fills the pixels of target that have no data yet from source, a raster read over sourceBbox
+// ([minX, minY, maxX, maxY], north up). A pixel gets data when it is inside sourceBbox and the nearest
+// source pixel has data, so the coverage of every resampling method is the same
+export function warpRaster(source, sourceBbox, target, grid, method = defaultResampling) {
+  const sample = samplers[method] ?? samplers[defaultResampling];
+  const resolutionX = (sourceBbox[2] - sourceBbox[0]) / source.width;
+  const resolutionY = (sourceBbox[3] - sourceBbox[1]) / source.height;
+
+  for (let y = 0, dstOffset = 0; y < grid.height; y++)
+    for (let x = 0; x < grid.width; x++, dstOffset++) {
+      if (target.valid[dstOffset])
+        continue;
+
+      const [sourceX, sourceY] = sampleWarpGrid(grid, x + 0.5, y + 0.5);
+      const u = (sourceX - sourceBbox[0]) / resolutionX - 0.5;
+      const v = (sourceBbox[3] - sourceY) / resolutionY - 0.5;
+
+      if (u < -0.5 || v < -0.5 || u > source.width - 0.5 || v > source.height - 0.5 || !source.valid[nearestOffset(source, u, v)])
+        continue;
+
+      sample(source, u, v, target, dstOffset);
+      target.valid[dstOffset] = 1;
+    }
+}
@@ -0,0 +1,222 @@
+import { fetchStacJson } from './STACProvider.js';
+import { addHistogram } from './Radiometry.js';
+
+// STAC responses are shared with the workers asking for the same search within this time
+const stacShareTime = 60 * 1000;
+// Broadcasts still missing answers after this time are answered with the answers received, e.g. after a worker failed
+const broadcastTimeout = 60 * 1000;
+
+function defaultPoolSize() {
+  return Math.max(1, Math.min((navigator.hardwareConcurrency ?? 2) - 1, 8));
+}
+
+// FNV-1a, spreads the tile keys evenly over the workers
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++)
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  return hash >>> 0;
+}
+
+// Index of the worker rendering the tile, the workers prefetch only their own tiles with it
+export function tileWorkerIndex(key, workerCount) {
+  return hashString(key) % workerCount;
+}
+
+// Answers of the workers about the visible tiles of an instance, merged into one message
+const mergeAnswers = {
+  getImagesDates: answers => ({
+    ...answers[0],
+    imagesDates: new Set(answers.flatMap(answer => Array.from(answer.imagesDates))),
+  }),
+  getViewportStretch: answers => ({
+    ...answers[0],
+    histogram: answers.reduce((total, answer) => addHistogram(total, answer.histogram), new Uint32Array(answers[0].histogram.length)),
+  }),
+  // Every worker lists the same scenes, used is set by the workers drawing them
+  getSceneList: answers => {
+    const listed = answers.find(answer => answer.error == null);
+    if (listed == null)
+      return answers[0];
+
+    const usedSceneIds = new Set(answers.flatMap(answer => (answer.scenes ?? []).filter(scene => scene.used).map(scene => scene.id)));
+    return { ...listed, scenes: listed.scenes.map(scene => ({ ...scene, used: usedSceneIds.has(scene.id) })) };
+  },
+};
+
+// Render workers with the interface of a single Worker for the layers. createTile and unloadTile are
+// routed by the tile key, so that a tile and its caches stay in one worker. Requests about the visible
+// tiles and the viewports are sent to every worker and the answers merged, precaching is split over the workers and
+// the other requests of a layer instance go to the same worker, which cancels its previous ones
+export class WorkerPool extends EventTarget {
+  #workers = [];
+  #tileWorkers = new Map();
+  #pendingAnswers = new Map();
+  #precaches = new Map();
+  #stacSearches = new Map();
+  #lastRequestId = 0;
+
+  constructor(url, options, size = defaultPoolSize()) {
+    super();
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(url, { ...options, name: `render-${i}` });
+      worker.addEventListener("message", e => this.#onWorkerMessage(worker, e.data));
+      worker.addEventListener("error", e => console.error(`Render worker ${i} failed:`, e.message));
+      this.#workers.push(worker);
+    }
+
+    console.log(`Worker pool of ${size} render workers`);
+  }
+
+  get size() {
+    return this.#workers.length;
+  }
+
+  postMessage(message) {
+    switch (message.type) {
+      case "createTile": {
+        const tileKey = `${message.layerType}/${message.instanceId}/${message.key}`;
+        const index = tileWorkerIndex(message.key, this.#workers.length);
+        this.#tileWorkers.set(tileKey, index);
+        this.#workers[index].postMessage(message);
+        break;
+      }
+      case "unloadTile": {
+        const tileKey = `${message.layerType}/${message.instanceId}/${message.key}`;
+        const index = this.#tileWorkers.get(tileKey);
+        this.#tileWorkers.delete(tileKey);
+        if (index != null)
+          this.#workers[index].postMessage(message);
+        break;
+      }
+      case "getImagesDates":
+      case "getViewportStretch":
+      case "getSceneList":
+        this.#broadcast(message);
+        break;
+      case "precacheTiles":
+        this.#splitPrecache(message);
+        break;
+      case "viewport":
+        this.#workers.forEach((worker, index) =>
+          worker.postMessage({ ...message, workerIndex: index, workerCount: this.#workers.length }));
+        break;
+      case "providerToken":
+        this.#workers.forEach(worker => worker.postMessage(message));
+        break;
+      case "cancelPrecache":
+        this.#precaches.delete(`${message.layerType}/${message.instanceId}`);
+        this.#workers.forEach(worker => worker.postMessage(message));
+        break;
+      default:
+        this.#workers[hashString(`${message.layerType}/${message.instanceId}`) % this.#workers.length].postMessage(message);
+    }
+  }
+
+  #broadcast(message) {
+    const requestId = ++this.#lastRequestId;
+    this.#pendingAnswers.set(requestId, []);
+    this.#workers.forEach(worker => worker.postMessage({ ...message, requestId: requestId }));
+    setTimeout(() => this.#finishBroadcast(requestId, message.type), broadcastTimeout);
+  }
+
+  #finishBroadcast(requestId, type) {
+    const answers = this.#pendingAnswers.get(requestId);
+    if (answers == null)
+      return;
+
+    this.#pendingAnswers.delete(requestId);
+    if (answers.length > 0)
+      this.#dispatch(mergeAnswers[type](answers));
+    else
+      console.log(`No render worker answered ${type}`);
+  }
+
+  // Progress of the parts is summed up, a new precache of the instance replaces the running one
+  #splitPrecache(message) {
+    const parts = this.#workers.map(() => []);
+    for (const cell of message.cells)
+      parts[hashString(cell.key) % parts.length].push(cell);
+
+    const requestId = ++this.#lastRequestId;
+    const precache = { requestId: requestId, progress: new Map() };
+    this.#precaches.set(`${message.layerType}/${message.instanceId}`, precache);
+
+    parts.forEach((cells, index) => {
+      if (cells.length == 0)
+        return;
+
+      precache.progress.set(index, { done: 0, failed: 0, total: cells.length, finished: false });
+      this.#workers[index].postMessage({ ...message, cells: cells, requestId: requestId });
+    });
+
+    if (precache.progress.size == 0)
+      this.#dispatch({ layerType: message.layerType, instanceId: message.instanceId, type: "precacheTiles",
+        progress: { done: 0, failed: 0, total: 0, finished: true } });
+  }
+
+  #onPrecacheProgress(worker, message) {
+    const precache = this.#precaches.get(`${message.layerType}/${message.instanceId}`);
+    if (precache?.requestId != message.requestId)
+      return;
+
+    precache.progress.set(this.#workers.indexOf(worker), message.progress);
+    const progress = { done: 0, failed: 0, total: 0, finished: true };
+    for (const part of precache.progress.values()) {
+      progress.done += part.done;
+      progress.failed += part.failed;
+      progress.total += part.total;
+      progress.finished &&= part.finished;
+    }
+
+    if (progress.finished)
+      this.#precaches.delete(`${message.layerType}/${message.instanceId}`);
+    this.#dispatch({ ...message, progress: progress });
+  }
+
+  #onWorkerMessage(worker, message) {
+    if (message.type == "stacSearch") {
+      this.#searchStac(worker, message);
+      return;
+    }
+
+    if (message.type == "precacheTiles") {
+      this.#onPrecacheProgress(worker, message);
+      return;
+    }
+
+    const answers = this.#pendingAnswers.get(message.requestId);
+    if (answers == null || !Object.hasOwn(mergeAnswers, message.type)) {
+      this.#dispatch(message);
+      return;
+    }
+
+    answers.push(message);
+    if (answers.length == this.#workers.length)
+      this.#finishBroadcast(message.requestId, message.type);
+  }
+
+  // Concurrent and recent identical searches of the workers are made once
+  async #searchStac(worker, message) {
+    const searchKey = `${message.url} ${JSON.stringify(message.body)}`;
+    if (!this.#stacSearches.has(searchKey)) {
+      const search = fetchStacJson(message.url, message.body);
+      this.#stacSearches.set(searchKey, search);
+      search
+        .then(() => setTimeout(() => this.#stacSearches.delete(searchKey), stacShareTime))
+        .catch(() => this.#stacSearches.delete(searchKey));
+    }
+
+    try {
+      const data = await this.#stacSearches.get(searchKey);
+      worker.postMessage({ type: "stacSearchResult", requestId: message.requestId, data: data });
+    } catch (error) {
+      worker.postMessage({ type: "stacSearchResult", requestId: message.requestId, error: error.message });
+    }
+  }
+
+  #dispatch(message) {
+    this.dispatchEvent(new MessageEvent("message", { data: message }));
+  }
+}
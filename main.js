@@ -1,17 +1,24 @@
 import { LayerType, BackgroundType } from './LayerType.js';
 import { Sentinel2GridLayer } from './Sentinel2GridLayer.js';
-
-function getInitialView() {
-  const params = new URLSearchParams(window.location.search);
-  return {
-    lat: parseFloat(params.get('lat')) || 0,
-    lng: parseFloat(params.get('lng')) || 0,
-    zoom: parseInt(params.get('z')) || 2,
-    background: params.get("background") || "openstreetmap",
-    overlay: params.get("overlay") || "Sentinel2RgbCloudless",
-    unknownPosition: !params.has('lat') && !params.has('lng'),
-  };
-}
+import { WorkerPool } from './WorkerPool.js';
+import { createDateRange, isDateRangeSet } from './DateRange.js';
+import { SwipeControl } from './SwipeControl.js';
+import { SpectralIndices, getSpectralIndex } from './SpectralIndex.js';
+import { Colormaps, colormapGradient } from './Colormap.js';
+import { LegendControl } from './LegendControl.js';
+import { FootprintLayer, FootprintColorModes, footprintColormap, maxFootprintAgeDays } from './FootprintLayer.js';
+import { ChangeClasses, createChangeThresholds, isDefaultChangeThresholds, changeColormap, changeDisplayRange } from './ChangeDetection.js';
+import { LayerStackControl } from './LayerStackControl.js';
+import { RadiometryControl } from './RadiometryControl.js';
+import { createRadiometry, isRadiometrySet, autoStretchPercentiles } from './Radiometry.js';
+import { ResamplingMethods, defaultResampling } from './Warp.js';
+import { TimeSeriesPanel } from './TimeSeriesPanel.js';
+import { SceneBrowserPanel } from './SceneBrowserPanel.js';
+import { STACProviders, isTokenProvider } from './STACProvider.js';
+import { Sentinel2Platforms, createSceneFilter, isSceneFilterSet, splitFilterList } from './SceneFilter.js';
+import { temporalModes, parseOptionalFloat, parseState, formatState, readLocationState, getStateUrl, createSessionFile, parseSessionFile } from './AppState.js';
+import * as turf from 'https://esm.sh/@turf/turf@7/turf.min.js';
+import { kml } from 'https://esm.sh/@tmcw/togeojson@5';
 
 const osmLayer = L.tileLayer("https://tile.openstreetmap.org/{z}/{x}/{y}.png", {
   maxZoom: 19,
@@ -32,48 +39,84 @@ const backgroundLayers = new Map([
   [BackgroundType.esri, esriLayer],
 ]);
 
-const worker = new Worker("Sentinel2GridLayoutWorker.js", { type: 'module' });
-
-const sentinel2LayerRgbCloudless = new Sentinel2GridLayer({
-  minZoom: 8,
-  maxZoom: 16,
-  minNativeZoom: 8,
-  maxNativeZoom: 14,
-  attribution: "ESA Sentinel-2"}, 
-  worker, LayerType.Sentinel2RgbCloudless);
-
-const sentinel2LayerRgbLatest = new Sentinel2GridLayer({
-  minZoom: 8,
-  maxZoom: 16,
-  minNativeZoom: 8,
-  maxNativeZoom: 14,
-  attribution: "ESA Sentinel-2"}, 
-  worker, LayerType.Sentinel2RgbLatest);
-
-const sentinel2LayerNdviCloudless = new Sentinel2GridLayer({
-  minZoom: 8,
-  maxZoom: 16,
-  minNativeZoom: 8,
-  maxNativeZoom: 14,
-  attribution: "ESA Sentinel-2"}, 
-  worker, LayerType.Sentinel2NdviCloudless);
-
-const sentinel2LayerNdviLatest = new Sentinel2GridLayer({
-  minZoom: 8,
-  maxZoom: 16,
-  minNativeZoom: 8,
-  maxNativeZoom: 14,
-  attribution: "ESA Sentinel-2"}, 
-  worker, LayerType.Sentinel2NdviLatest);
-
-const sentinel2Layers = new Map([
-  [LayerType.Sentinel2RgbCloudless, sentinel2LayerRgbCloudless],
-  [LayerType.Sentinel2RgbLatest, sentinel2LayerRgbLatest],
-  [LayerType.Sentinel2NdviCloudless, sentinel2LayerNdviCloudless],
-  [LayerType.Sentinel2NdviLatest, sentinel2LayerNdviLatest],
+const worker = new WorkerPool("Sentinel2GridLayoutWorker.js", { type: 'module' });
+
+// Access tokens of the catalogs that need one are kept in this browser only, never in the url state
+function getProviderToken(providerId) {
+  return localStorage.getItem(`stacToken.${providerId}`) ?? "";
+}
+
+function storeProviderToken(providerId, token) {
+  if (token != "")
+    localStorage.setItem(`stacToken.${providerId}`, token);
+  else
+    localStorage.removeItem(`stacToken.${providerId}`);
+
+  worker.postMessage({ type: "providerToken", providerId: providerId, token: token || null });
+}
+
+for (const providerId of Object.keys(STACProviders))
+  if (isTokenProvider(providerId) && getProviderToken(providerId) != "")
+    worker.postMessage({ type: "providerToken", providerId: providerId, token: getProviderToken(providerId) });
+
+const sentinel2LayerNames = new Map([
+  [LayerType.Sentinel2RgbCloudless, "Latest cloudless RGB"],
+  [LayerType.Sentinel2RgbLatest, "Latest RGB"],
+  [LayerType.Sentinel2NdviCloudless, "Latest cloudless NDVI"],
+  [LayerType.Sentinel2NdviLatest, "Latest NDVI"],
+  [LayerType.Sentinel2IndexCloudless, "Latest cloudless spectral index"],
+  [LayerType.Sentinel2IndexLatest, "Latest spectral index"],
+  [LayerType.Sentinel2IndexChange, "Cloudless spectral index change"],
+  [LayerType.Sentinel2FalseColor, "Latest cloudless false colour"],
+  [LayerType.Sentinel2Swir, "Latest cloudless SWIR"],
+  [LayerType.Sentinel2Agriculture, "Latest cloudless agriculture"],
+  [LayerType.Sentinel2SceneClassification, "Latest scene classification (clouds)"],
+]);
+
+// Layers drawn as RGB images, with brightness, contrast, gamma, saturation and auto-stretch
+const radiometryLayerTypes = new Set([
+  LayerType.Sentinel2RgbCloudless, LayerType.Sentinel2RgbLatest,
+  LayerType.Sentinel2FalseColor, LayerType.Sentinel2Swir, LayerType.Sentinel2Agriculture,
 ]);
+const indexLayerTypes = new Set([LayerType.Sentinel2IndexCloudless, LayerType.Sentinel2IndexLatest]);
+const colormapLayerTypes = new Set([...indexLayerTypes, LayerType.Sentinel2NdviCloudless, LayerType.Sentinel2NdviLatest]);
+// Layers drawing the index difference to a "before" period with their own colours
+const changeLayerTypes = new Set([LayerType.Sentinel2IndexChange]);
+
+// Index layers read the coarse COG overviews and work from zoom 6, the other ones need zoom 8
+function sentinel2MinZoom(layerType) {
+  return colormapLayerTypes.has(layerType) || changeLayerTypes.has(layerType) ? 6 : 8;
+}
+
+function createSentinel2Layer(layerType) {
+  return new Sentinel2GridLayer({
+    minZoom: sentinel2MinZoom(layerType),
+    maxZoom: 16,
+    minNativeZoom: sentinel2MinZoom(layerType),
+    maxNativeZoom: 14,
+    attribution: "ESA Sentinel-2"},
+    worker, layerType);
+}
+
+const sentinel2Layers = new Map();
+const compareLayers = new Map();
+for (const layerType of sentinel2LayerNames.keys()) {
+  sentinel2Layers.set(layerType, createSentinel2Layer(layerType));
+  compareLayers.set(layerType, createSentinel2Layer(layerType));
+}
 
-for (const [LayerType, layer] of sentinel2Layers) {
+const view = await readLocationState();
+const imagesDatesInfo = { main: "", compare: "" };
+
+function updateLayerInfo() {
+  let layerInfo = `Acquisition dates: ${imagesDatesInfo.main}`;
+  if (currentCompareLayer != null)
+    layerInfo = `Left: ${imagesDatesInfo.main} | Right: ${imagesDatesInfo.compare}`;
+
+  document.getElementById('layer-info').innerHTML = layerInfo;
+}
+
+function setupSentinel2LayerEvents(layer, infoKey) {
   layer.on('tileloadstart', () => ProgressBar.tileRequested());
   layer.on('tileload', () => ProgressBar.tileLoaded());
   layer.on('tileerror', () => ProgressBar.tileLoaded());
@@ -83,34 +126,251 @@ for (const [LayerType, layer] of sentinel2Layers) {
   layer.on('load', () => ProgressBar.reset());
 
   layer.on("imagesDatesUpdated", function(newDates) {
-    document.getElementById('layer-info').innerHTML =`Acquisition dates: ${newDates.dates}`;
+    imagesDatesInfo[infoKey] = newDates.dates;
+    updateLayerInfo();
   } );
+
+  layer.on("pixelInspected", e => showPixelInfo(e));
+
+  layer.on("timeSeriesProgress", e => {
+    if (layer == timeSeriesLayer)
+      timeSeriesPanel.setProgress(e);
+  });
+  layer.on("timeSeries", e => {
+    if (layer != timeSeriesLayer)
+      return;
+
+    if (e.error != null)
+      timeSeriesPanel.setError(e.error);
+    else
+      timeSeriesPanel.setSeries(e.indexName, e.series);
+  });
+
+  layer.on("zonalStats", e => showZonalStats(layer, e));
+  layer.on("sceneList", e => showSceneList(layer, e));
+  layer.on("footprints", e => showFootprints(layer, e));
+  layer.on("precacheProgress", e => onPrecacheProgress(layer, e));
+  layer.on("imageExported", e => onImageExported(e));
+  layer.on("viewportStretch", e => onViewportStretch(layer, e));
+  layer.on("load", () => requestAutoStretch(layer));
+}
+
+function setAllLayersParams(params) {
+  for (const layer of [...sentinel2Layers.values(), ...compareLayers.values()])
+    layer.setParams(params);
 }
 
+for (const layer of sentinel2Layers.values()) {
+  layer.setParams({ dateRange: view.dateRange });
+  setupSentinel2LayerEvents(layer, "main");
+}
+
+for (const layer of compareLayers.values()) {
+  layer.setParams({ dateRange: view.compare.dateRange });
+  setupSentinel2LayerEvents(layer, "compare");
+}
+
+setAllLayersParams({ cloudMask: view.cloudMask, temporal: view.temporal.mode, temporalScenes: view.temporal.scenes });
+setAllLayersParams({ resampling: view.resampling != defaultResampling ? view.resampling : undefined });
+setAllLayersParams({ provider: view.stacProvider, sceneFilter: isSceneFilterSet(view.sceneFilter) ? view.sceneFilter : undefined });
+
+function setIndexParams(indexParams) {
+  for (const layers of [sentinel2Layers, compareLayers])
+    for (const [layerType, layer] of layers) {
+      if (indexLayerTypes.has(layerType))
+        layer.setParams(indexParams);
+      else if (colormapLayerTypes.has(layerType))
+        layer.setParams({ ...indexParams, index: undefined });
+      else if (changeLayerTypes.has(layerType))
+        layer.setParams({ index: indexParams.index });
+    }
+}
+
+setIndexParams({ index: view.index, colormap: view.colormap, min: view.stretch.min, max: view.stretch.max });
+
+// Without a "before" date range the change layers compare with the same period a year earlier
+function setChangeParams(change) {
+  for (const layers of [sentinel2Layers, compareLayers])
+    for (const layerType of changeLayerTypes)
+      layers.get(layerType).setParams({
+        baseDateRange: isDateRangeSet(change.dateRange) ? change.dateRange : undefined,
+        changeThresholds: isDefaultChangeThresholds(change.thresholds) ? undefined : change.thresholds,
+        changeClasses: change.classes || undefined,
+      });
+}
+
+setChangeParams(view.change);
+
+// Radiometry of the RGB layers by layer type, the compare layer of a type shares it
+const layerRadiometry = new Map();
+
+function setLayerRadiometry(layerType, radiometry) {
+  layerRadiometry.set(layerType, radiometry);
+  const params = { radiometry: isRadiometrySet(radiometry) ? radiometry : undefined };
+  sentinel2Layers.get(layerType).setParams(params);
+  compareLayers.get(layerType).setParams(params);
+}
+
+for (const [layerType, radiometry] of Object.entries(view.radiometry))
+  if (radiometryLayerTypes.has(layerType))
+    setLayerRadiometry(layerType, radiometry);
+
+// A pinned scene replaces the automatic scene choice of the main layers
+for (const layer of sentinel2Layers.values())
+  layer.setParams({ sceneId: view.sceneId });
+
 const baseMaps = {
     "OpenStreetMap": osmLayer,
     "Esri World Imagery": esriLayer
 };
 
 const overlayMaps = {
-  "ESA Sentinel-2": {
-    "Latest cloudless RGB": sentinel2Layers.get(LayerType.Sentinel2RgbCloudless),
-    "Latest RGB": sentinel2Layers.get(LayerType.Sentinel2RgbLatest),
-    "Latest cloudless NDVI": sentinel2Layers.get(LayerType.Sentinel2NdviCloudless),
-    "Latest NDVI": sentinel2Layers.get(LayerType.Sentinel2NdviLatest),
-    "Disable": L.layerGroup(),
-  }
+  "ESA Sentinel-2": Object.fromEntries(Array.from(sentinel2LayerNames, ([layerType, name]) => [name, sentinel2Layers.get(layerType)])),
 };
 
+// Sentinel-2 layers on the map as { layer, opacity, blendMode } from the bottom to the top one,
+// the top layer is the current overlay layer that is inspected, exported and listed
+const layerStack = [];
 let currentOverlayLayer = null;
 let currentBackgroundLayer = null;
+let currentDateRange = view.dateRange;
+let currentCompareLayer = null;
+let currentCompareDateRange = view.compare.dateRange;
+let currentCloudMask = view.cloudMask;
+let currentSceneFilter = view.sceneFilter;
+let currentTemporal = view.temporal;
+let currentResampling = view.resampling;
+let currentIndex = view.index;
+let currentColormap = view.colormap;
+let currentStretch = view.stretch;
+let currentChange = view.change;
+let currentSceneId = view.sceneId;
+let currentStacProvider = view.stacProvider;
 
-const view = getInitialView();
 const map = L.map('map', {
   center: [view.lat, view.lng],
   zoom: view.zoom,
 });
 
+const aoiStyle = { color: '#3498db', bubblingMouseEvents: false };
+const drawnItems = L.featureGroup().addTo(map);
+if (view.aois != null)
+  addAoiGeoJson(view.aois);
+
+const sceneBrowserPanel = new SceneBrowserPanel(map, view.sceneId, sceneId => {
+  currentSceneId = sceneId;
+  for (const layer of sentinel2Layers.values())
+    layer.setParams({ sceneId: sceneId });
+
+  onStateChanged();
+});
+
+function refreshSceneList() {
+  if (!sceneBrowserPanel.isOpen())
+    return;
+
+  if (currentOverlayLayer == null) {
+    sceneBrowserPanel.setScenes([]);
+    sceneBrowserPanel.setStatus("Select a Sentinel-2 layer to list its scenes");
+    return;
+  }
+
+  sceneBrowserPanel.setStatus("Searching scenes…");
+  currentOverlayLayer.requestSceneList(map.getBounds());
+}
+
+function showSceneList(layer, e) {
+  if (layer != currentOverlayLayer || !sceneBrowserPanel.isOpen())
+    return;
+
+  if (e.error != null)
+    sceneBrowserPanel.setStatus(e.error);
+  else
+    sceneBrowserPanel.setScenes(e.scenes);
+}
+
+// Below the minimum zoom of the top layer the footprints of its newest scenes are drawn instead,
+// down to minFootprintZoom where a view holds too many scenes
+const minFootprintZoom = 4;
+const footprintLayer = new FootprintLayer(view.footprintColor);
+
+const FootprintControl = L.Control.extend({
+  options: { position: 'topright' },
+
+  onAdd: function(map) {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control footprint-control');
+    div.innerHTML = `
+      <label>Footprints by
+        <select name="colorMode">
+          ${Object.entries(FootprintColorModes).map(([id, name]) => `<option value="${id}">${name}</option>`).join("")}
+        </select>
+      </label>
+      <div class="footprint-legend-bar"></div>
+      <div class="footprint-legend-labels"><span></span><span></span></div>
+      <div class="footprint-status"></div>`;
+
+    div.querySelector('.footprint-legend-bar').style.background = colormapGradient(footprintColormap);
+    const colorModeSelect = div.querySelector('select[name="colorMode"]');
+    colorModeSelect.value = footprintLayer.getColorMode();
+    colorModeSelect.addEventListener('change', () => {
+      footprintLayer.setColorMode(colorModeSelect.value);
+      updateFootprintLegend(div);
+      onStateChanged();
+    });
+
+    updateFootprintLegend(div);
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+const footprintControl = new FootprintControl();
+
+function updateFootprintLegend(div) {
+  const labels = footprintLayer.getColorMode() == "cloud" ? ["100% cloud", "clear"] : [`${maxFootprintAgeDays}+ days`, "today"];
+  div.querySelectorAll('.footprint-legend-labels span').forEach((span, i) => span.textContent = labels[i]);
+}
+
+function setFootprintStatus(text) {
+  const status = footprintControl.getContainer()?.querySelector('.footprint-status');
+  if (status != null)
+    status.textContent = text;
+}
+
+function refreshFootprints() {
+  const zoom = map.getZoom();
+  if (currentOverlayLayer == null || zoom < minFootprintZoom || zoom >= currentOverlayLayer.options.minZoom) {
+    footprintLayer.remove();
+    footprintControl.remove();
+    return;
+  }
+
+  if (!map.hasLayer(footprintLayer)) {
+    footprintLayer.setScenes([]);
+    footprintLayer.addTo(map);
+    map.addControl(footprintControl);
+  }
+
+  const bounds = map.getBounds();
+  setFootprintStatus("Searching scenes…");
+  currentOverlayLayer.requestFootprints(L.latLngBounds(
+    [Math.max(bounds.getSouth(), -85), Math.max(bounds.getWest(), -180)],
+    [Math.min(bounds.getNorth(), 85), Math.min(bounds.getEast(), 180)]));
+}
+
+function showFootprints(layer, e) {
+  if (layer != currentOverlayLayer || !map.hasLayer(footprintLayer))
+    return;
+
+  if (e.error != null) {
+    setFootprintStatus(e.error);
+    return;
+  }
+
+  footprintLayer.setScenes(e.footprints);
+  setFootprintStatus(`${e.footprints.length} newest scenes`);
+}
+
 if (view.unknownPosition) {
    fetch('/geo')
     .then(response => response.json())
@@ -124,51 +384,105 @@ if (backgroundLayers.has(view.background)) {
   currentBackgroundLayer = backgroundLayers.get(view.background);
   currentBackgroundLayer.addTo(map);
 }
-if (sentinel2Layers.has(view.overlay)) {
-  currentOverlayLayer = sentinel2Layers.get(view.overlay);
-  currentOverlayLayer.addTo(map);
+for (const entry of view.layers) {
+  const layer = sentinel2Layers.get(entry.layerType);
+  layerStack.push({ layer: layer, opacity: entry.opacity, blendMode: entry.blendMode });
+  layer.addTo(map);
 }
+currentOverlayLayer = layerStack.at(-1)?.layer ?? null;
 
-L.control.groupedLayers(
-  baseMaps, overlayMaps,
-  {
-    exclusiveGroups: ["ESA Sentinel-2"]  // makes this overlay group radio-style
-  }
-).addTo(map);
+L.control.groupedLayers(baseMaps, overlayMaps).addTo(map);
 L.control.scale().addTo(map);
 
+// The message shows while a layer of the stack is below its minimum zoom
 function onZoomChanged() {
   const zoominMsgDiv = document.getElementById('zoomin_msg');
   
   const currentZoom = map.getZoom();
-  if (currentZoom <= 7) {
+  if (layerStack.some(entry => currentZoom < entry.layer.options.minZoom)) {
     zoominMsgDiv.className = "zoomin_msg_enable";
     ProgressBar.reset();
   } else
     zoominMsgDiv.className = "zoomin_msg_disable";
 }
 
-function onMoveEnd() {
+function getCurrentState() {
   const center = map.getCenter();
-  const zoom = map.getZoom();
-  const params = new URLSearchParams();
+  return {
+    lat: center.lat,
+    lng: center.lng,
+    zoom: map.getZoom(),
+    background: currentBackgroundLayer?._layerId,
+    layers: layerStack.map(entry => ({ layerType: entry.layer._layerId, opacity: entry.opacity, blendMode: entry.blendMode })),
+    dateRange: currentDateRange,
+    cloudMask: currentCloudMask,
+    sceneFilter: currentSceneFilter,
+    temporal: currentTemporal,
+    index: currentIndex,
+    colormap: currentColormap,
+    stretch: currentStretch,
+    radiometry: Object.fromEntries(layerRadiometry),
+    resampling: currentResampling,
+    compare: {
+      layerType: currentCompareLayer?._layerId,
+      dateRange: currentCompareDateRange,
+      ratio: currentCompareLayer != null ? swipeControl.getRatio() : 0.5,
+    },
+    change: currentChange,
+    sceneId: currentSceneId,
+    footprintColor: footprintLayer.getColorMode(),
+    stacProvider: currentStacProvider,
+    aois: drawnItems.getLayers().length > 0 ? turf.truncate(drawnItems.toGeoJSON(), { precision: 6 }) : null,
+  };
+}
+
+// Meaningful changes get a history entry for back / forward, map moves and changes within
+// historyMergeTime of the previous entry (e.g. dragging a slider) replace the current one.
+// Entries are written in order, the compressed url of a long state is computed asynchronously
+const historyMergeTime = 1000;
+let historyReady = false;
+let lastHistoryPush = 0;
+let historyWrite = Promise.resolve();
+// Set while applyState changes the layers and controls, it writes the history once at the end
+let applyingState = false;
+
+function writeHistoryState(push) {
+  const params = formatState(getCurrentState());
+  push = push && historyReady && Date.now() - lastHistoryPush > historyMergeTime;
+  if (push)
+    lastHistoryPush = Date.now();
+
+  historyWrite = historyWrite.then(async () => {
+    const url = await getStateUrl(params);
+    if (url == window.location.pathname + window.location.search + window.location.hash)
+      return;
+
+    if (push)
+      history.pushState(null, '', url);
+    else
+      history.replaceState(null, '', url);
+  }).catch(error => console.error('Failed to write the url state:', error));
+}
 
-  params.set('lat', center.lat.toFixed(5));
-  params.set('lng', center.lng.toFixed(5));
-  params.set('z', zoom);
-  params.set("background", currentBackgroundLayer?._layerId ?? "none");
-  params.set("overlay", currentOverlayLayer?._layerId ?? "none");
-  history.replaceState(null, '', '?' + params.toString());
+function onStateChanged(push = true) {
+  if (applyingState)
+    return;
 
+  writeHistoryState(push);
+
+  refreshSceneList();
+  refreshFootprints();
   if (currentOverlayLayer != null)
     currentOverlayLayer.refreshImagesDatesInfo();
+  if (currentCompareLayer != null)
+    currentCompareLayer.refreshImagesDatesInfo();
 }
 
 map.on('zoomend', () => onZoomChanged());
-map.on('moveend', () => onMoveEnd() );
+map.on('moveend', () => onStateChanged(false));
 
 onZoomChanged();
-onMoveEnd();
+onStateChanged(false);
 
 // Create custom control
 const LayerInfoControl = L.Control.extend({
@@ -183,19 +497,1221 @@ const LayerInfoControl = L.Control.extend({
 
 map.addControl(new LayerInfoControl());
 
+function getLayerIndex(layer) {
+  if (layer == null || !(colormapLayerTypes.has(layer._layerId) || changeLayerTypes.has(layer._layerId)))
+    return null;
+
+  return getSpectralIndex(indexLayerTypes.has(layer._layerId) || changeLayerTypes.has(layer._layerId) ? currentIndex : "NDVI");
+}
+
+const legendControl = new LegendControl();
+
+function updateLegend() {
+  const layer = [currentOverlayLayer, currentCompareLayer].find(layer => getLayerIndex(layer) != null);
+  const spectralIndex = getLayerIndex(layer);
+  if (spectralIndex == null) {
+    legendControl.setLegend(null);
+    return;
+  }
+
+  // The change classes are listed by the change control
+  if (changeLayerTypes.has(layer._layerId)) {
+    legendControl.setLegend(currentChange.classes ? null : {
+      title: `Δ${spectralIndex.id}`,
+      colormap: changeColormap,
+      min: -changeDisplayRange,
+      max: changeDisplayRange,
+    });
+    return;
+  }
+
+  legendControl.setLegend({
+    title: spectralIndex.id,
+    colormap: currentColormap ?? spectralIndex.colormap,
+    min: currentStretch.min ?? spectralIndex.range[0],
+    max: currentStretch.max ?? spectralIndex.range[1],
+  });
+}
+
+map.addControl(legendControl);
+
+function onDateRangeChanged(dateRange) {
+  currentDateRange = dateRange;
+  for (const layer of sentinel2Layers.values())
+    layer.setParams({ dateRange: dateRange });
+
+  onStateChanged();
+}
+
+function createDateRangeInputs(container, dateRange, onChange) {
+  const div = L.DomUtil.create('div', 'date-range-inputs', container);
+  div.innerHTML = `
+    <label>From <input type="date" name="from"></label>
+    <label>To <input type="date" name="to"></label>
+    <button type="button" title="Show the latest images">Latest</button>`;
+
+  const fromInput = div.querySelector('input[name="from"]');
+  const toInput = div.querySelector('input[name="to"]');
+  const latestButton = div.querySelector('button');
+  const today = new Date().toISOString().split('T')[0];
+
+  fromInput.max = today;
+  toInput.max = today;
+  fromInput.value = dateRange.from ?? "";
+  toInput.value = dateRange.to ?? "";
+  latestButton.disabled = !isDateRangeSet(dateRange);
+
+  const onInputChange = () => {
+    const newDateRange = createDateRange(fromInput.value, toInput.value);
+    fromInput.value = newDateRange.from ?? "";
+    toInput.value = newDateRange.to ?? "";
+    latestButton.disabled = !isDateRangeSet(newDateRange);
+    onChange(newDateRange);
+  };
+
+  fromInput.addEventListener('change', onInputChange);
+  toInput.addEventListener('change', onInputChange);
+  latestButton.addEventListener('click', () => {
+    fromInput.value = "";
+    toInput.value = "";
+    onInputChange();
+  });
+
+  return div;
+}
+
+const DateRangeControl = L.Control.extend({
+  options: { position: 'topleft' },
+  onAdd: function () {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control');
+    createDateRangeInputs(div, currentDateRange, onDateRangeChanged);
+
+    const cloudMaskLabel = L.DomUtil.create('label', '', div);
+    cloudMaskLabel.title = "Hide clouds, cloud shadows, cirrus and snow using the scene classification";
+    cloudMaskLabel.innerHTML = `<input type="checkbox" name="cloud-mask"> Mask clouds per pixel`;
+
+    const cloudMaskCheckbox = cloudMaskLabel.querySelector('input');
+    cloudMaskCheckbox.checked = currentCloudMask;
+    cloudMaskCheckbox.addEventListener('change', () => {
+      currentCloudMask = cloudMaskCheckbox.checked;
+      setAllLayersParams({ cloudMask: currentCloudMask });
+
+      onStateChanged();
+    });
+
+    const temporalLabel = L.DomUtil.create('label', '', div);
+    temporalLabel.title = "Combine the most recent scenes of the date range pixel by pixel";
+    temporalLabel.innerHTML = `Composite <select name="temporal"></select>
+      <input type="number" name="scenes" min="2" max="10" step="1" title="Number of scenes"> scenes`;
+
+    const temporalSelect = temporalLabel.querySelector('select');
+    const scenesInput = temporalLabel.querySelector('input');
+    for (const [mode, name] of temporalModes)
+      temporalSelect.add(new Option(name, mode));
+    temporalSelect.value = currentTemporal.mode;
+    scenesInput.value = currentTemporal.scenes;
+    scenesInput.disabled = currentTemporal.mode == "latest";
+
+    const onTemporalChange = () => {
+      currentTemporal = {
+        mode: temporalSelect.value,
+        scenes: Math.min(Math.max(parseInt(scenesInput.value) || 5, 2), 10),
+      };
+      scenesInput.value = currentTemporal.scenes;
+      scenesInput.disabled = currentTemporal.mode == "latest";
+      setAllLayersParams({ temporal: currentTemporal.mode, temporalScenes: currentTemporal.scenes });
+
+      onStateChanged();
+    };
+
+    temporalSelect.addEventListener('change', onTemporalChange);
+    scenesInput.addEventListener('change', onTemporalChange);
+
+    const resamplingLabel = L.DomUtil.create('label', '', div);
+    resamplingLabel.title = "Interpolation of the scene pixels into the map tiles";
+    resamplingLabel.innerHTML = `Resampling <select name="resampling"></select>`;
+
+    const resamplingSelect = resamplingLabel.querySelector('select');
+    for (const [method, name] of Object.entries(ResamplingMethods))
+      resamplingSelect.add(new Option(name, method));
+    resamplingSelect.value = currentResampling;
+    resamplingSelect.addEventListener('change', () => {
+      currentResampling = resamplingSelect.value;
+      setAllLayersParams({ resampling: currentResampling != defaultResampling ? currentResampling : undefined });
+
+      onStateChanged();
+    });
+
+    const providerLabel = L.DomUtil.create('label', '', div);
+    providerLabel.innerHTML = `Catalog <select name="provider"></select>`;
+
+    const providerSelect = providerLabel.querySelector('select');
+    for (const [providerId, provider] of Object.entries(STACProviders))
+      providerSelect.add(new Option(provider.name, providerId));
+    providerSelect.value = currentStacProvider;
+
+    const tokenLabel = L.DomUtil.create('label', '', div);
+    tokenLabel.title = "Access token of your account of the catalog, kept in this browser only";
+    tokenLabel.innerHTML = `Access token <input type="password" name="token" autocomplete="off" spellcheck="false">`;
+
+    const tokenInput = tokenLabel.querySelector('input');
+    const updateTokenInput = () => {
+      tokenLabel.style.display = isTokenProvider(currentStacProvider) ? '' : 'none';
+      tokenInput.value = getProviderToken(currentStacProvider);
+    };
+    updateTokenInput();
+
+    // Tiles that failed without the token load again
+    tokenInput.addEventListener('change', () => {
+      storeProviderToken(currentStacProvider, tokenInput.value.trim());
+      for (const layer of [...sentinel2Layers.values(), ...compareLayers.values()])
+        layer.redraw();
+    });
+
+    providerSelect.addEventListener('change', () => {
+      currentStacProvider = providerSelect.value;
+      updateTokenInput();
+      // Scene ids are specific to the catalog
+      if (currentSceneId != null)
+        sceneBrowserPanel.unpin();
+      setAllLayersParams({ provider: currentStacProvider });
+
+      onStateChanged();
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+const dateRangeControl = new DateRangeControl();
+map.addControl(dateRangeControl);
+
+function onSceneFilterChanged(sceneFilter) {
+  currentSceneFilter = sceneFilter;
+  // Pinned scenes may be filtered out
+  if (currentSceneId != null)
+    sceneBrowserPanel.unpin();
+  setAllLayersParams({ sceneFilter: isSceneFilterSet(sceneFilter) ? sceneFilter : undefined });
+
+  onStateChanged();
+}
+
+const SceneFilterControl = L.Control.extend({
+  options: { position: 'topleft' },
+  onAdd: function () {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control scene-filter-control');
+    div.innerHTML = `
+      <label title="Skip scenes above this cloud cover, by default 10% for the cloudless layers">
+        Max cloud cover <input type="range" name="cloud-cover" min="0" max="100" step="5">
+        <span class="scene-filter-value" data-for="cloud-cover"></span>
+        <button type="button" name="cloud-auto" title="Use the cloud cover of each layer">Auto</button>
+      </label>
+      <label title="Skip scenes with less valid data over their tile">
+        Min data coverage <input type="range" name="data-coverage" min="0" max="100" step="10">
+        <span class="scene-filter-value" data-for="data-coverage"></span>
+      </label>
+      <label>Exclude tiles <input type="text" name="tiles" placeholder="33UUP, 33UVP" spellcheck="false"></label>
+      <label>Exclude orbits <input type="text" name="orbits" placeholder="79, 122" spellcheck="false"></label>
+      <div class="scene-filter-platforms">
+        ${Object.keys(Sentinel2Platforms).map(platform =>
+          `<label><input type="checkbox" name="platform" value="${platform}"> ${platform}</label>`).join("")}
+      </div>`;
+
+    const cloudCoverInput = div.querySelector('input[name="cloud-cover"]');
+    const dataCoverageInput = div.querySelector('input[name="data-coverage"]');
+    const tilesInput = div.querySelector('input[name="tiles"]');
+    const orbitsInput = div.querySelector('input[name="orbits"]');
+    const platformCheckboxes = div.querySelectorAll('input[name="platform"]');
+
+    const updateInputs = () => {
+      cloudCoverInput.value = currentSceneFilter.maxCloudCoverage ?? 100;
+      dataCoverageInput.value = currentSceneFilter.minDataCoverage;
+      div.querySelector('[data-for="cloud-cover"]').textContent = currentSceneFilter.maxCloudCoverage != null ?
+        `${currentSceneFilter.maxCloudCoverage}%` : "auto";
+      div.querySelector('[data-for="data-coverage"]').textContent = `${currentSceneFilter.minDataCoverage}%`;
+      tilesInput.value = currentSceneFilter.excludedTiles.join(", ");
+      orbitsInput.value = currentSceneFilter.excludedOrbits.join(", ");
+      for (const checkbox of platformCheckboxes)
+        checkbox.checked = currentSceneFilter.platforms.length == 0 || currentSceneFilter.platforms.includes(checkbox.value);
+    };
+    updateInputs();
+
+    const onChange = maxCloudCoverage => {
+      onSceneFilterChanged(createSceneFilter({
+        maxCloudCoverage: maxCloudCoverage,
+        minDataCoverage: parseFloat(dataCoverageInput.value),
+        excludedTiles: splitFilterList(tilesInput.value),
+        excludedOrbits: splitFilterList(orbitsInput.value),
+        platforms: Array.from(platformCheckboxes).filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+      }));
+      updateInputs();
+    };
+
+    // Sliders show their value while dragged and apply it when released
+    cloudCoverInput.addEventListener('input', () =>
+      div.querySelector('[data-for="cloud-cover"]').textContent = `${cloudCoverInput.value}%`);
+    dataCoverageInput.addEventListener('input', () =>
+      div.querySelector('[data-for="data-coverage"]').textContent = `${dataCoverageInput.value}%`);
+
+    cloudCoverInput.addEventListener('change', () => onChange(parseFloat(cloudCoverInput.value)));
+    div.querySelector('button[name="cloud-auto"]').addEventListener('click', () => onChange(null));
+    for (const input of [dataCoverageInput, tilesInput, orbitsInput, ...platformCheckboxes])
+      input.addEventListener('change', () => onChange(currentSceneFilter.maxCloudCoverage));
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+const sceneFilterControl = new SceneFilterControl();
+map.addControl(sceneFilterControl);
+
+// The main change layer of the stack, otherwise the compare one
+function getChangeLayer() {
+  return [...layerStack.map(entry => entry.layer).reverse(), currentCompareLayer]
+    .find(layer => layer != null && changeLayerTypes.has(layer._layerId)) ?? null;
+}
+
+function onChangeParamsChanged() {
+  setChangeParams(currentChange);
+  updateLegend();
+  onStateChanged();
+}
+
+function formatChangeRange(i, [low, high]) {
+  return [`≤ −${high}`, `−${high} … −${low}`, `±${low}`, `${low} … ${high}`, `≥ ${high}`][i];
+}
+
+function formatChangeAreas(classes) {
+  const rows = classes
+    .map(changeClass => `<tr><td><span class="change-swatch" style="background: rgb(${changeClass.color.join(", ")})"></span>` +
+      `${changeClass.name}</td><td>${changeClass.areaHa.toFixed(1)} ha</td><td>${changeClass.percent.toFixed(1)}%</td></tr>`)
+    .join("");
+  return `<table class="change-areas"><tr><th></th><th>Area</th><th>Share</th></tr>${rows}</table>`;
+}
+
+const ChangeControl = L.Control.extend({
+  options: { position: 'topleft' },
+  onAdd: function () {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control change-control');
+    div.innerHTML = `
+      <div class="change-title">Index change since</div>
+      <div class="change-hint">Without dates the same period a year earlier</div>`;
+
+    createDateRangeInputs(div, currentChange.dateRange, dateRange => {
+      currentChange = { ...currentChange, dateRange: dateRange };
+      onChangeParamsChanged();
+    });
+
+    const optionsDiv = L.DomUtil.create('div', '', div);
+    optionsDiv.innerHTML = `
+      <label>Show
+        <select name="change-mode">
+          <option value="continuous">Difference</option>
+          <option value="classes">Change classes</option>
+        </select>
+      </label>
+      <label title="Index change of the change and the strong change classes">Thresholds
+        <input type="number" name="low" min="0" step="0.05">
+        <input type="number" name="high" min="0" step="0.05">
+      </label>
+      <div class="change-classes"></div>
+      <button type="button" name="areas" title="Area of each change class in the current view">Area per class in view</button>
+      <div class="change-area-totals"></div>`;
+
+    const modeSelect = optionsDiv.querySelector('select[name="change-mode"]');
+    const lowInput = optionsDiv.querySelector('input[name="low"]');
+    const highInput = optionsDiv.querySelector('input[name="high"]');
+    const classesDiv = optionsDiv.querySelector('.change-classes');
+    const areaTotalsDiv = optionsDiv.querySelector('.change-area-totals');
+
+    const updateInputs = () => {
+      modeSelect.value = currentChange.classes ? "classes" : "continuous";
+      lowInput.value = currentChange.thresholds[0];
+      highInput.value = currentChange.thresholds[1];
+      classesDiv.innerHTML = ChangeClasses
+        .map((changeClass, i) => `<div><span class="change-swatch" style="background: rgb(${changeClass.color.join(", ")})"></span>` +
+          `${changeClass.name} ${formatChangeRange(i, currentChange.thresholds)}</div>`)
+        .join("");
+    };
+    updateInputs();
+
+    const onOptionsChange = () => {
+      currentChange = {
+        ...currentChange,
+        thresholds: createChangeThresholds(parseOptionalFloat(lowInput.value), parseOptionalFloat(highInput.value)),
+        classes: modeSelect.value == "classes",
+      };
+      updateInputs();
+      onChangeParamsChanged();
+    };
+
+    modeSelect.addEventListener('change', onOptionsChange);
+    lowInput.addEventListener('change', onOptionsChange);
+    highInput.addEventListener('change', onOptionsChange);
+
+    optionsDiv.querySelector('button[name="areas"]').addEventListener('click', () => {
+      const changeLayer = getChangeLayer();
+      if (changeLayer == null)
+        return;
+
+      const bounds = map.getBounds();
+      const viewPolygon = turf.bboxPolygon([
+        Math.max(bounds.getWest(), -180), Math.max(bounds.getSouth(), -85),
+        Math.min(bounds.getEast(), 180), Math.min(bounds.getNorth(), 85)]);
+
+      zonalStatsRequest = { layer: changeLayer, element: areaTotalsDiv };
+      areaTotalsDiv.textContent = "Computing class areas…";
+      changeLayer.requestZonalStats(viewPolygon.geometry);
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+const changeControl = new ChangeControl();
+
+// The change control shows while a change layer is on the map
+function updateChangeControl() {
+  if (getChangeLayer() == null)
+    changeControl.remove();
+  else if (changeControl._map == null)
+    map.addControl(changeControl);
+}
+
+const swipeControl = new SwipeControl({ ratio: view.compare.ratio });
+swipeControl.on('swipeend', () => onStateChanged(false));
+
+function updateSwipeLayers() {
+  swipeControl.setLayers(layerStack.map(entry => entry.layer), [currentCompareLayer]);
+}
+
+function setCompareLayer(layerType) {
+  if (currentCompareLayer != null)
+    map.removeLayer(currentCompareLayer);
+
+  currentCompareLayer = compareLayers.get(layerType) ?? null;
+  if (currentCompareLayer != null) {
+    currentCompareLayer.setZIndex(layerStack.length + 1);
+    currentCompareLayer.addTo(map);
+    swipeControl.addTo(map);
+    updateSwipeLayers();
+  } else {
+    updateSwipeLayers();
+    swipeControl.remove();
+  }
+
+  updateLayerInfo();
+  updateChangeControl();
+  updateLegend();
+  onStateChanged();
+}
+
+function onCompareDateRangeChanged(dateRange) {
+  currentCompareDateRange = dateRange;
+  for (const layer of compareLayers.values())
+    layer.setParams({ dateRange: dateRange });
+
+  onStateChanged();
+}
+
+const CompareControl = L.Control.extend({
+  options: { position: 'topleft' },
+  onAdd: function () {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control compare-control');
+    div.innerHTML = `
+      <label><input type="checkbox" name="compare"> Compare (right side)</label>
+      <select name="compare-layer"></select>`;
+
+    const compareCheckbox = div.querySelector('input[name="compare"]');
+    const layerSelect = div.querySelector('select[name="compare-layer"]');
+    for (const [layerType, name] of sentinel2LayerNames)
+      layerSelect.add(new Option(name, layerType));
+
+    const dateRangeInputs = createDateRangeInputs(div, currentCompareDateRange, onCompareDateRangeChanged);
+
+    const updateInputs = () => {
+      layerSelect.disabled = !compareCheckbox.checked;
+      for (const input of dateRangeInputs.querySelectorAll('input, button'))
+        input.disabled = !compareCheckbox.checked || (input.tagName == 'BUTTON' && !isDateRangeSet(currentCompareDateRange));
+    };
+
+    compareCheckbox.checked = currentCompareLayer != null;
+    if (currentCompareLayer != null)
+      layerSelect.value = currentCompareLayer._layerId;
+    updateInputs();
+
+    const onChange = () => {
+      updateInputs();
+      setCompareLayer(compareCheckbox.checked ? layerSelect.value : null);
+    };
+
+    compareCheckbox.addEventListener('change', onChange);
+    layerSelect.addEventListener('change', onChange);
+    dateRangeInputs.addEventListener('change', updateInputs);
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+if (compareLayers.has(view.compare.layerType))
+  setCompareLayer(view.compare.layerType);
+
+const compareControl = new CompareControl();
+map.addControl(compareControl);
+
+const customIndexOption = "custom";
+
+function onIndexParamsChanged() {
+  setIndexParams({ index: currentIndex, colormap: currentColormap, min: currentStretch.min, max: currentStretch.max });
+  updateLegend();
+  onStateChanged();
+}
+
+const IndexControl = L.Control.extend({
+  options: { position: 'topleft' },
+  onAdd: function () {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control index-control');
+    div.innerHTML = `
+      <label>Spectral index <select name="index"></select></label>
+      <input type="text" name="expression" placeholder="(B8A-B11)/(B8A+B11)" spellcheck="false">
+      <div class="index-error"></div>
+      <label>Colormap <select name="colormap"></select></label>
+      <label>Range
+        <input type="number" name="min" step="0.05" title="Value drawn with the first color">
+        <input type="number" name="max" step="0.05" title="Value drawn with the last color">
+      </label>`;
+
+    const indexSelect = div.querySelector('select[name="index"]');
+    const expressionInput = div.querySelector('input[name="expression"]');
+    const errorDiv = div.querySelector('.index-error');
+    const colormapSelect = div.querySelector('select[name="colormap"]');
+    const minInput = div.querySelector('input[name="min"]');
+    const maxInput = div.querySelector('input[name="max"]');
+
+    for (const [indexId, spectralIndex] of Object.entries(SpectralIndices))
+      indexSelect.add(new Option(spectralIndex.name, indexId));
+    indexSelect.add(new Option("Custom band math", customIndexOption));
+
+    colormapSelect.add(new Option("Index default", ""));
+    for (const [colormapId, colormap] of Object.entries(Colormaps))
+      colormapSelect.add(new Option(colormap.name, colormapId));
+
+    const isCustom = !Object.hasOwn(SpectralIndices, currentIndex);
+    indexSelect.value = isCustom ? customIndexOption : currentIndex;
+    expressionInput.value = isCustom ? currentIndex : "";
+    expressionInput.style.display = isCustom ? '' : 'none';
+    colormapSelect.value = currentColormap ?? "";
+
+    const updateStretchInputs = () => {
+      const spectralIndex = getSpectralIndex(currentIndex);
+      minInput.placeholder = spectralIndex.range[0];
+      maxInput.placeholder = spectralIndex.range[1];
+      minInput.value = currentStretch.min ?? "";
+      maxInput.value = currentStretch.max ?? "";
+    };
+    updateStretchInputs();
+
+    const onIndexChange = () => {
+      const isCustom = indexSelect.value == customIndexOption;
+      expressionInput.style.display = isCustom ? '' : 'none';
+      errorDiv.textContent = "";
+
+      let indexId = indexSelect.value;
+      if (isCustom) {
+        indexId = expressionInput.value.trim();
+        if (indexId == "")
+          return;
+
+        try {
+          getSpectralIndex(indexId);
+        } catch (error) {
+          errorDiv.textContent = error.message;
+          return;
+        }
+      }
+
+      if (indexId == currentIndex)
+        return;
+
+      currentIndex = indexId;
+      currentStretch = { min: null, max: null };
+      updateStretchInputs();
+      onIndexParamsChanged();
+    };
+
+    const onRenderingChange = () => {
+      currentColormap = colormapSelect.value || null;
+      currentStretch = {
+        min: parseOptionalFloat(minInput.value),
+        max: parseOptionalFloat(maxInput.value),
+      };
+      onIndexParamsChanged();
+    };
+
+    indexSelect.addEventListener('change', onIndexChange);
+    expressionInput.addEventListener('change', onIndexChange);
+    colormapSelect.addEventListener('change', onRenderingChange);
+    minInput.addEventListener('change', onRenderingChange);
+    maxInput.addEventListener('change', onRenderingChange);
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+const indexControl = new IndexControl();
+map.addControl(indexControl);
+updateLegend();
+
+function applyLayerStack() {
+  layerStack.forEach((entry, i) => {
+    entry.layer.setOpacity(entry.opacity);
+    entry.layer.setZIndex(i + 1);
+
+    const container = entry.layer.getContainer();
+    if (container != null)
+      container.style.mixBlendMode = entry.blendMode == "normal" ? "" : entry.blendMode;
+  });
+
+  currentOverlayLayer = layerStack.at(-1)?.layer ?? null;
+  currentCompareLayer?.setZIndex(layerStack.length + 1);
+  radiometryControl.setLayers(layerStack.map(entry => entry.layer._layerId).filter(layerType => radiometryLayerTypes.has(layerType)).reverse());
+  onZoomChanged();
+
+  updateSwipeLayers();
+  updateChangeControl();
+  updateLegend();
+  onStateChanged();
+}
+
+const layerStackControl = new LayerStackControl(sentinel2LayerNames, applyLayerStack);
+layerStackControl.setStack(layerStack);
+map.addControl(layerStackControl);
+
+// The auto-stretch ranges follow the visible tiles of the main layer once they are loaded,
+// small changes are ignored so that panning does not redraw the layer every time
+const autoStretchTolerance = 3;
+
+function requestAutoStretch(layer) {
+  if (layer._map != null && sentinel2Layers.get(layer._layerId) == layer && layerRadiometry.get(layer._layerId)?.autoStretch)
+    layer.requestViewportStretch(autoStretchPercentiles);
+}
+
+function onViewportStretch(layer, e) {
+  const radiometry = layerRadiometry.get(layer._layerId);
+  if (e.stretch == null || !radiometry?.autoStretch)
+    return;
+
+  const isUnchanged = radiometry.stretch != null && radiometry.stretch.every((range, channel) =>
+    range.every((value, i) => Math.abs(value - e.stretch[channel][i]) < autoStretchTolerance));
+  if (isUnchanged)
+    return;
+
+  setLayerRadiometry(layer._layerId, createRadiometry({ ...radiometry, stretch: e.stretch }));
+  radiometryControl.refresh();
+}
+
+const radiometryControl = new RadiometryControl(sentinel2LayerNames, layerRadiometry, (layerType, radiometry) => {
+  setLayerRadiometry(layerType, radiometry);
+  requestAutoStretch(sentinel2Layers.get(layerType));
+  onStateChanged();
+});
+map.addControl(radiometryControl);
+applyLayerStack();
+
 map.on('overlayadd', function(e) {
-  if (e.layer instanceof Sentinel2GridLayer)
-    currentOverlayLayer = e.layer;
-  else
-    currentOverlayLayer = null;
+  if (!(e.layer instanceof Sentinel2GridLayer) || layerStack.some(entry => entry.layer == e.layer))
+    return;
+
+  layerStack.push({ layer: e.layer, opacity: 1, blendMode: "normal" });
+  layerStackControl.setStack(layerStack);
+  applyLayerStack();
+});
+
+map.on('overlayremove', function(e) {
+  const position = layerStack.findIndex(entry => entry.layer == e.layer);
+  if (position == -1)
+    return;
 
-  onMoveEnd();
+  layerStack.splice(position, 1);
+  layerStackControl.setStack(layerStack);
+  applyLayerStack();
 });
 
 map.on('baselayerchange', function(e) {
   currentBackgroundLayer = e.layer;
 
-  onMoveEnd();
+  onStateChanged();
+});
+
+let inspectPopup = null;
+
+function getLayerAtPoint(containerPoint) {
+  if (currentCompareLayer != null && containerPoint.x > map.getSize().x * swipeControl.getRatio())
+    return currentCompareLayer;
+
+  return currentOverlayLayer;
+}
+
+function formatPixelInfo(pixel) {
+  const bandRows = Object.entries(pixel.reflectance)
+    .map(([band, value]) => `<tr><td>${band}</td><td>${value?.toFixed(4) ?? "no data"}</td></tr>`)
+    .join("");
+  const indexRow = pixel.index != null ?
+    `<div class="pixel-info-index">${pixel.index.name}: ${pixel.index.value?.toFixed(3) ?? "no data"}</div>` : "";
+
+  return `
+    <div class="pixel-info">
+      ${indexRow}
+      <table><tr><th>Band</th><th>Reflectance</th></tr>${bandRows}</table>
+      <div>Scene class: ${pixel.sceneClass} – ${pixel.sceneClassName}</div>
+      <div>Scene: ${pixel.sceneId}</div>
+      <div>Acquired: ${pixel.datetime}</div>
+      <div>Tile: ${pixel.tileId ?? "–"}, cloud cover ${pixel.cloudCover?.toFixed(1) ?? "–"}%</div>
+      <div>UTM (EPSG:${pixel.epsgCode}): ${pixel.utmXY[0].toFixed(1)}, ${pixel.utmXY[1].toFixed(1)}</div>
+    </div>`;
+}
+
+function showPixelInfo(e) {
+  if (inspectPopup == null || !inspectPopup.isOpen() || !inspectPopup.getLatLng().equals(e.latlng))
+    return;
+
+  const content = L.DomUtil.create('div');
+  content.innerHTML = e.error != null ? e.error : formatPixelInfo(e.pixel);
+  content.appendChild(createTimeSeriesButton(
+    `Point ${e.latlng.lat.toFixed(5)}, ${e.latlng.lng.toFixed(5)}`,
+    { type: "Point", coordinates: [e.latlng.lng, e.latlng.lat] }));
+
+  inspectPopup.setContent(content);
+}
+
+const timeSeriesPanel = new TimeSeriesPanel();
+let timeSeriesLayer = null;
+
+// Last year unless a date range is selected
+function getTimeSeriesDateRange() {
+  if (isDateRangeSet(currentDateRange))
+    return currentDateRange;
+
+  const today = new Date();
+  const yearAgo = new Date(today.getTime() - 365 * 86400000);
+  return createDateRange(yearAgo.toISOString().split('T')[0], today.toISOString().split('T')[0]);
+}
+
+function showTimeSeries(title, geometry) {
+  timeSeriesLayer = currentOverlayLayer ?? sentinel2Layers.get(LayerType.Sentinel2RgbCloudless);
+  const indexId = getLayerIndex(timeSeriesLayer)?.id ?? "NDVI";
+  const dateRange = getTimeSeriesDateRange();
+
+  timeSeriesPanel.open(`${title}, ${dateRange.from ?? "…"} – ${dateRange.to ?? "…"}`, options =>
+    timeSeriesLayer.requestTimeSeries(geometry, { index: indexId, dateRange: dateRange, provider: currentStacProvider, ...options }));
+}
+
+function createTimeSeriesButton(title, geometry) {
+  const button = L.DomUtil.create('button', 'time-series-button');
+  button.type = 'button';
+  button.textContent = "Time series";
+  button.addEventListener('click', () => showTimeSeries(title, geometry));
+  return button;
+}
+
+let zonalStatsRequest = null;
+
+function formatZonalStats(stats) {
+  const channelRows = stats.channels
+    .map(channel => channel.count == 0 ? `<tr><td>${channel.name}</td><td colspan="4">no data</td></tr>` :
+      `<tr><td>${channel.name}</td><td>${channel.mean.toFixed(3)}</td><td>${channel.min.toFixed(3)}</td>` +
+      `<td>${channel.max.toFixed(3)}</td><td>${channel.std.toFixed(3)}</td></tr>`)
+    .join("");
+  const histograms = stats.channels.filter(channel => channel.count > 0).map(channel => {
+    const maxCount = Math.max(...channel.histogram);
+    const bars = channel.histogram
+      .map(count => `<div style="height: ${Math.round(count / maxCount * 100)}%" title="${count} pixels"></div>`)
+      .join("");
+    return `<div class="zonal-histogram-title">${channel.name}: ${channel.min.toFixed(2)} – ${channel.max.toFixed(2)}</div>` +
+      `<div class="zonal-histogram">${bars}</div>`;
+  }).join("");
+
+  return `
+    <div class="zonal-stats">
+      <div>Area: ${stats.areaHa.toFixed(2)} ha</div>
+      <div>Valid pixels: ${stats.validPercent.toFixed(1)}% of ${stats.pixelCount} (${stats.resolution.toFixed(0)} m grid)</div>
+      <div>Acquired: ${stats.dates.join(", ") || "–"}</div>
+      <table><tr><th></th><th>Mean</th><th>Min</th><th>Max</th><th>Std</th></tr>${channelRows}</table>
+      ${histograms}
+      ${stats.classes != null ? formatChangeAreas(stats.classes) : ""}
+    </div>`;
+}
+
+// Requests of an AOI popup show the statistics in it, the ones of the change control the class areas only
+function showZonalStats(layer, e) {
+  if (zonalStatsRequest == null || zonalStatsRequest.layer != layer)
+    return;
+
+  if (zonalStatsRequest.element != null)
+    zonalStatsRequest.element.innerHTML = e.error != null ? e.error :
+      `${formatChangeAreas(e.stats.classes)}<div>Valid pixels: ${e.stats.validPercent.toFixed(1)}% (${e.stats.resolution.toFixed(0)} m grid)</div>`;
+  else if (zonalStatsRequest.popup.isOpen())
+    zonalStatsRequest.popup.setContent(e.error != null ? e.error : formatZonalStats(e.stats));
+  zonalStatsRequest = null;
+}
+
+function createAoiPopupContent(aoiLayer) {
+  const geometry = aoiLayer.toGeoJSON().geometry;
+  const areaHa = turf.area(geometry) / 10000;
+  const content = L.DomUtil.create('div');
+  content.textContent = `Area ${areaHa.toFixed(1)} ha`;
+
+  const zonalStatsButton = L.DomUtil.create('button', 'time-series-button', content);
+  zonalStatsButton.type = 'button';
+  zonalStatsButton.textContent = "Zonal statistics";
+  zonalStatsButton.addEventListener('click', () => {
+    if (currentOverlayLayer == null) {
+      aoiLayer.setPopupContent("Select a Sentinel-2 layer to compute zonal statistics");
+      return;
+    }
+
+    zonalStatsRequest = { layer: currentOverlayLayer, popup: aoiLayer.getPopup() };
+    aoiLayer.setPopupContent("Computing zonal statistics…");
+    currentOverlayLayer.requestZonalStats(geometry);
+  });
+
+  content.appendChild(createTimeSeriesButton(`Area ${areaHa.toFixed(1)} ha`, geometry));
+
+  const exportButton = L.DomUtil.create('button', 'time-series-button', content);
+  exportButton.type = 'button';
+  exportButton.textContent = "Export";
+  exportButton.addEventListener('click', () => exportArea(turf.bbox(geometry), geometry));
+  return content;
+}
+
+function addAoi(aoiLayer) {
+  drawnItems.addLayer(aoiLayer);
+  aoiLayer.bindPopup(() => createAoiPopupContent(aoiLayer), { maxWidth: 360 });
+  // Zonal statistics replace the popup content until it is closed
+  aoiLayer.on('popupclose', () => aoiLayer.setPopupContent(() => createAoiPopupContent(aoiLayer)));
+}
+
+let drawing = false;
+
+map.addControl(new L.Control.Draw({
+  position: 'topleft',
+  draw: {
+    polygon: { shapeOptions: aoiStyle },
+    rectangle: { shapeOptions: aoiStyle },
+    polyline: false,
+    circle: false,
+    circlemarker: false,
+    marker: false,
+  },
+  edit: { featureGroup: drawnItems },
+}));
+
+map.on(L.Draw.Event.DRAWSTART, () => drawing = true);
+map.on(L.Draw.Event.DRAWSTOP, () => drawing = false);
+
+map.on(L.Draw.Event.CREATED, function(e) {
+  addAoi(e.layer);
+  e.layer.openPopup(e.layer.getCenter());
+  onStateChanged();
+});
+
+map.on(L.Draw.Event.EDITED, () => onStateChanged());
+map.on(L.Draw.Event.DELETED, () => onStateChanged());
+
+// Polygons of the GeoJSON become areas of interest, returns the L.GeoJSON layer of the added ones
+function addAoiGeoJson(geojson) {
+  const imported = L.geoJSON(geojson, {
+    style: aoiStyle,
+    filter: feature => ["Polygon", "MultiPolygon"].includes(feature.geometry?.type),
+  });
+
+  imported.getLayers().forEach(aoiLayer => addAoi(aoiLayer));
+  return imported;
+}
+
+// Polygons of a GeoJSON or KML file become areas of interest
+async function importAoiFile(file) {
+  const text = await file.text();
+  const geojson = file.name.toLowerCase().endsWith(".kml") ?
+    kml(new DOMParser().parseFromString(text, "text/xml")) : JSON.parse(text);
+
+  const imported = addAoiGeoJson(geojson);
+  if (imported.getLayers().length == 0)
+    throw new Error(`No polygons found in ${file.name}`);
+
+  map.fitBounds(imported.getBounds());
+  onStateChanged();
+}
+
+const AoiImportControl = L.Control.extend({
+  options: { position: 'topleft' },
+
+  onAdd: function(map) {
+    const div = L.DomUtil.create('div', 'leaflet-bar aoi-import-control');
+    div.innerHTML = `
+      <a href="#" title="Import areas of interest from GeoJSON or KML" role="button">⤒</a>
+      <input type="file" accept=".geojson,.json,.kml" hidden>`;
+
+    const fileInput = div.querySelector('input');
+    div.querySelector('a').addEventListener('click', e => {
+      e.preventDefault();
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length == 0)
+        return;
+
+      importAoiFile(fileInput.files[0])
+        .catch(error => alert(`Failed to import ${fileInput.files[0].name}: ${error.message}`))
+        .finally(() => fileInput.value = "");
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+map.addControl(new AoiImportControl());
+
+const SceneBrowserControl = L.Control.extend({
+  options: { position: 'topleft' },
+
+  onAdd: function(map) {
+    const div = L.DomUtil.create('div', 'leaflet-bar scene-browser-control');
+    div.innerHTML = `<a href="#" title="Scenes in view" role="button">☰</a>`;
+
+    div.querySelector('a').addEventListener('click', e => {
+      e.preventDefault();
+      if (sceneBrowserPanel.isOpen())
+        sceneBrowserPanel.close();
+      else {
+        sceneBrowserPanel.open();
+        refreshSceneList();
+      }
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+map.addControl(new SceneBrowserControl());
+
+const exportFormats = new Map([
+  ["rgba", "GeoTIFF, rendered RGBA"],
+  ["values", "GeoTIFF, band / index values"],
+  ["png", "PNG + world file"],
+]);
+let exportFormat = "rgba";
+
+function setExportStatus(text) {
+  document.querySelector('.export-control .export-status').textContent = text;
+}
+
+// bbox is [minLng, minLat, maxLng, maxLat], geometry clips the export when it is set
+function exportArea(bbox, geometry) {
+  if (currentOverlayLayer == null) {
+    setExportStatus("Select a Sentinel-2 layer to export");
+    return;
+  }
+
+  const fileName = `sentinel2_${currentOverlayLayer._layerId}_${new Date().toISOString().split('T')[0]}`;
+  setExportStatus("Exporting…");
+  currentOverlayLayer.exportImage(bbox, geometry, exportFormat, fileName);
+}
+
+function downloadBlob(blob, fileName) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function onImageExported(e) {
+  if (e.error != null) {
+    setExportStatus(`Export failed: ${e.error}`);
+    return;
+  }
+
+  setExportStatus(`Exported at ${e.resolution.toFixed(0)} m resolution`);
+  for (const file of e.files)
+    downloadBlob(file.blob, file.name);
+}
+
+const ExportControl = L.Control.extend({
+  options: { position: 'topright' },
+
+  onAdd: function(map) {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control export-control');
+    div.innerHTML = `
+      <label>Export
+        <select name="format">
+          ${Array.from(exportFormats, ([format, name]) => `<option value="${format}">${name}</option>`).join("")}
+        </select>
+      </label>
+      <button type="button" name="view">Current view</button>
+      <div class="export-status"></div>`;
+
+    const formatSelect = div.querySelector('select[name="format"]');
+    formatSelect.value = exportFormat;
+    formatSelect.addEventListener('change', () => exportFormat = formatSelect.value);
+
+    div.querySelector('button[name="view"]').addEventListener('click', () => {
+      const bounds = map.getBounds();
+      exportArea([bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()], null);
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+map.addControl(new ExportControl());
+
+const maxPrecacheTiles = 3000;
+let precacheLayer = null;
+
+function setPrecacheStatus(text, progress = null) {
+  const div = document.querySelector('.offline-control');
+  div.querySelector('.offline-status').textContent = text;
+  div.querySelector('progress').hidden = progress == null;
+  div.querySelector('progress').value = progress ?? 0;
+  div.querySelector('button[name="cancel"]').hidden = precacheLayer == null;
+}
+
+function onPrecacheProgress(layer, progress) {
+  if (layer != precacheLayer)
+    return;
+
+  if (progress.finished) {
+    precacheLayer = null;
+    setPrecacheStatus(`Downloaded ${progress.total - progress.failed} of ${progress.total} tiles`);
+  } else
+    setPrecacheStatus(`Downloading ${progress.done} / ${progress.total} tiles`, progress.done / progress.total);
+}
+
+// Renders the view of the current layer into the persistent tile cache for offline use
+function precacheView(minZoom, maxZoom) {
+  if (currentOverlayLayer == null) {
+    setPrecacheStatus("Select a Sentinel-2 layer to download");
+    return;
+  }
+
+  const tileCoords = currentOverlayLayer.getTileCoords(map.getBounds(), minZoom, maxZoom);
+  if (tileCoords.length > maxPrecacheTiles) {
+    setPrecacheStatus(`${tileCoords.length} tiles, zoom in or lower the zoom range to stay under ${maxPrecacheTiles}`);
+    return;
+  }
+
+  precacheLayer?.cancelPrecache();
+  precacheLayer = currentOverlayLayer;
+  setPrecacheStatus(`Downloading 0 / ${tileCoords.length} tiles`, 0);
+  precacheLayer.precacheTiles(tileCoords);
+}
+
+const OfflineControl = L.Control.extend({
+  options: { position: 'topright' },
+
+  onAdd: function(map) {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control offline-control');
+    div.innerHTML = `
+      <label>Offline zooms
+        <input type="number" name="minZoom" min="6" max="14" value="10"> –
+        <input type="number" name="maxZoom" min="6" max="14" value="14">
+      </label>
+      <button type="button" name="download">Download this area</button>
+      <button type="button" name="cancel" hidden>Cancel</button>
+      <progress max="1" hidden></progress>
+      <div class="offline-status"></div>`;
+
+    const minZoomInput = div.querySelector('input[name="minZoom"]');
+    const maxZoomInput = div.querySelector('input[name="maxZoom"]');
+
+    div.querySelector('button[name="download"]').addEventListener('click', () => {
+      const minZoom = parseInt(minZoomInput.value) || 10;
+      const maxZoom = Math.max(parseInt(maxZoomInput.value) || 14, minZoom);
+      precacheView(minZoom, maxZoom);
+    });
+
+    div.querySelector('button[name="cancel"]').addEventListener('click', () => {
+      precacheLayer?.cancelPrecache();
+      precacheLayer = null;
+      setPrecacheStatus("Download cancelled");
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+map.addControl(new OfflineControl());
+
+async function openSessionFile(file) {
+  const params = parseSessionFile(await file.text());
+  history.pushState(null, '', await getStateUrl(params));
+  applyState(parseState(params));
+}
+
+const SessionControl = L.Control.extend({
+  options: { position: 'topright' },
+
+  onAdd: function(map) {
+    const div = L.DomUtil.create('div', 'leaflet-bar date-range-control session-control');
+    div.innerHTML = `
+      <label>Session</label>
+      <button type="button" name="save" title="Download the layers, settings and areas of interest">Save</button>
+      <button type="button" name="open" title="Restore a downloaded session">Open…</button>
+      <input type="file" accept=".json" hidden>`;
+
+    div.querySelector('button[name="save"]').addEventListener('click', () =>
+      downloadBlob(createSessionFile(getCurrentState()), `sentinel2_session_${new Date().toISOString().split('T')[0]}.json`));
+
+    const fileInput = div.querySelector('input');
+    div.querySelector('button[name="open"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length == 0)
+        return;
+
+      openSessionFile(fileInput.files[0])
+        .catch(error => alert(`Failed to open ${fileInput.files[0].name}: ${error.message}`))
+        .finally(() => fileInput.value = "");
+    });
+
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  }
+});
+
+map.addControl(new SessionControl());
+
+// Draws a control again from the current state, in its place on the map
+function refreshControl(control) {
+  if (control._map == null)
+    return;
+
+  const container = control.onAdd(map);
+  L.DomUtil.addClass(container, 'leaflet-control');
+  control.getContainer().replaceWith(container);
+  control._container = container;
+}
+
+// Shows a state of the history or of a session file in place: the view, layers, settings and areas of interest
+function applyState(state) {
+  applyingState = true;
+
+  if (!state.unknownPosition)
+    map.setView([state.lat, state.lng], state.zoom, { animate: false });
+
+  const backgroundLayer = backgroundLayers.get(state.background) ?? null;
+  if (backgroundLayer != currentBackgroundLayer) {
+    currentBackgroundLayer?.remove();
+    backgroundLayer?.addTo(map);
+    currentBackgroundLayer = backgroundLayer;
+  }
+
+  currentDateRange = state.dateRange;
+  currentCompareDateRange = state.compare.dateRange;
+  currentCloudMask = state.cloudMask;
+  currentSceneFilter = state.sceneFilter;
+  currentTemporal = state.temporal;
+  currentResampling = state.resampling;
+  currentIndex = state.index;
+  currentColormap = state.colormap;
+  currentStretch = state.stretch;
+  currentChange = state.change;
+  currentStacProvider = state.stacProvider;
+
+  for (const layer of sentinel2Layers.values())
+    layer.setParams({ dateRange: currentDateRange });
+  for (const layer of compareLayers.values())
+    layer.setParams({ dateRange: currentCompareDateRange });
+  setAllLayersParams({
+    cloudMask: currentCloudMask,
+    temporal: currentTemporal.mode,
+    temporalScenes: currentTemporal.scenes,
+    resampling: currentResampling != defaultResampling ? currentResampling : undefined,
+    provider: currentStacProvider,
+    sceneFilter: isSceneFilterSet(currentSceneFilter) ? currentSceneFilter : undefined,
+  });
+  setIndexParams({ index: currentIndex, colormap: currentColormap, min: currentStretch.min, max: currentStretch.max });
+  setChangeParams(currentChange);
+
+  // An auto-stretch keeps its current ranges, they are not part of the state
+  for (const layerType of radiometryLayerTypes) {
+    const radiometry = state.radiometry[layerType] ?? createRadiometry();
+    const currentRadiometry = layerRadiometry.get(layerType);
+    setLayerRadiometry(layerType, radiometry.autoStretch && currentRadiometry?.autoStretch ?
+      createRadiometry({ ...radiometry, stretch: currentRadiometry.stretch }) : radiometry);
+  }
+
+  if (state.sceneId != currentSceneId)
+    sceneBrowserPanel.pin(state.sceneId);
+  footprintLayer.setColorMode(state.footprintColor);
+
+  // The layers control fires overlayadd / overlayremove for these, the handlers find the stack up to date
+  const previousLayers = layerStack.map(entry => entry.layer);
+  layerStack.splice(0, layerStack.length, ...state.layers.map(entry =>
+    ({ layer: sentinel2Layers.get(entry.layerType), opacity: entry.opacity, blendMode: entry.blendMode })));
+  for (const layer of previousLayers)
+    if (!layerStack.some(entry => entry.layer == layer))
+      map.removeLayer(layer);
+  for (const entry of layerStack)
+    if (!map.hasLayer(entry.layer))
+      entry.layer.addTo(map);
+
+  layerStackControl.setStack(layerStack);
+  applyLayerStack();
+
+  if ((compareLayers.get(state.compare.layerType) ?? null) != currentCompareLayer)
+    setCompareLayer(state.compare.layerType);
+  swipeControl.setRatio(state.compare.ratio);
+
+  drawnItems.clearLayers();
+  if (state.aois != null)
+    addAoiGeoJson(state.aois);
+
+  for (const control of [dateRangeControl, sceneFilterControl, compareControl, indexControl, changeControl, footprintControl])
+    refreshControl(control);
+  radiometryControl.refresh();
+
+  applyingState = false;
+  onStateChanged(false);
+}
+
+// Going back or forward shows the state of the url
+window.addEventListener('popstate', () => {
+  readLocationState()
+    .then(state => applyState(state))
+    .catch(error => console.error('Failed to read the url state:', error));
+});
+
+// Changes from here on are user changes with their own history entries
+historyReady = true;
+
+if ('serviceWorker' in navigator)
+  navigator.serviceWorker.register('sw.js')
+    .catch(error => console.error('Service worker registration failed:', error));
+
+map.on('click', function(e) {
+  if (drawing)
+    return;
+
+  const layer = getLayerAtPoint(e.containerPoint);
+  if (layer == null)
+    return;
+
+  inspectPopup = L.popup({ maxWidth: 320 })
+    .setLatLng(e.latlng)
+    .setContent("Reading pixel values…")
+    .openOn(map);
+
+  layer.inspectPixel(e.latlng);
 });
 
 L.control.locate({
@@ -0,0 +1,138 @@
+// Offline support: the app files and libraries are served from the cache when the network is down,
+// basemap tiles are cached as they are viewed. Sentinel-2 cells, STAC responses and COG byte ranges
+// are kept by the worker in IndexedDB (PersistentCache.js)
+const appCacheName = "app-v1";
+const libraryCacheName = "libraries-v1";
+const basemapCacheName = "basemap-tiles-v1";
+const maxBasemapTiles = 5000;
+const trimInterval = 100;
+let cachedSinceTrim = 0;
+
+const appFiles = [
+  "./",
+  "index.html",
+  "main.js",
+  "main.css",
+  "progressbar.js",
+  "favicon.ico",
+  "AppState.js",
+  "BandComposite.js",
+  "CachingClient.js",
+  "ChangeDetection.js",
+  "Colormap.js",
+  "DateRange.js",
+  "FootprintLayer.js",
+  "LayerType.js",
+  "LayerStackControl.js",
+  "LegendControl.js",
+  "Overview.js",
+  "PersistentCache.js",
+  "Radiometry.js",
+  "RadiometryControl.js",
+  "Rasterize.js",
+  "SceneBrowserPanel.js",
+  "SceneClassification.js",
+  "SceneFilter.js",
+  "Sentinel2GridLayer.js",
+  "Sentinel2GridLayoutWorker.js",
+  "SpectralIndex.js",
+  "STACCatalog.js",
+  "STACProvider.js",
+  "SwipeControl.js",
+  "TileScheduler.js",
+  "TimeSeriesPanel.js",
+  "Warp.js",
+  "WorkerPool.js",
+];
+
+const libraryFiles = [
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+  "https://unpkg.com/leaflet-groupedlayercontrol/dist/leaflet.groupedlayercontrol.min.css",
+  "https://unpkg.com/leaflet-groupedlayercontrol/dist/leaflet.groupedlayercontrol.min.js",
+  "https://cdn.jsdelivr.net/npm/leaflet.locatecontrol/dist/L.Control.Locate.min.css",
+  "https://cdn.jsdelivr.net/npm/leaflet.locatecontrol/dist/L.Control.Locate.min.js",
+  "https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css",
+  "https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js",
+];
+
+const libraryHosts = ["unpkg.com", "cdn.jsdelivr.net", "esm.sh"];
+const basemapHosts = ["tile.openstreetmap.org", "server.arcgisonline.com"];
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const appCache = await caches.open(appCacheName);
+    await appCache.addAll(appFiles);
+
+    // A library that fails to download is cached on its first use instead
+    const libraryCache = await caches.open(libraryCacheName);
+    await Promise.all(libraryFiles.map(url => libraryCache.add(url).catch(error => console.log(`Precaching ${url} failed: ${error.message}`))));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  const currentCaches = [appCacheName, libraryCacheName, basemapCacheName];
+  event.waitUntil((async () => {
+    for (const cacheName of await caches.keys())
+      if (!currentCaches.includes(cacheName))
+        await caches.delete(cacheName);
+
+    await self.clients.claim();
+  })());
+});
+
+// App files: network first so that updates are picked up, the cached copy offline
+async function networkFirst(request) {
+  const cache = await caches.open(appCacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok)
+      cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode == "navigate" });
+    if (cached == null)
+      throw error;
+    return cached;
+  }
+}
+
+// Libraries and basemap tiles do not change under the same url
+async function cacheFirst(request, cacheName, maxEntries = null) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached != null)
+    return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type == "opaque") {
+    await cache.put(request, response.clone());
+
+    // Listing the keys is slow, the oldest entries are dropped every trimInterval responses
+    if (maxEntries != null && ++cachedSinceTrim >= trimInterval) {
+      cachedSinceTrim = 0;
+      const keys = await cache.keys();
+      for (let i = 0; i < keys.length - maxEntries; i++)
+        await cache.delete(keys[i]);
+    }
+  }
+
+  return response;
+}
+
+self.addEventListener("fetch", event => {
+  const request = event.request;
+  if (request.method != "GET")
+    return;
+
+  const url = new URL(request.url);
+  if (url.origin == self.location.origin) {
+    if (url.pathname != "/geo" && !url.pathname.startsWith("/stac"))
+      event.respondWith(networkFirst(request));
+  } else if (libraryHosts.includes(url.hostname))
+    event.respondWith(cacheFirst(request, libraryCacheName));
+  else if (basemapHosts.includes(url.hostname))
+    event.respondWith(cacheFirst(request, basemapCacheName, maxBasemapTiles));
+});
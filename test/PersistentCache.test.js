@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cellCacheKey } from '../PersistentCache.js';
+import { LayerType } from '../LayerType.js';
+
+test("layer types with the same params never share a persisted cell", () => {
+  const params = { dateRange: { from: null, to: null }, cloudMask: false, temporal: "latest" };
+  const keys = Object.values(LayerType).map(layerType => cellCacheKey(layerType, params, "12/2200/1400"));
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test("cells of other params or tiles get other keys", () => {
+  const key = cellCacheKey(LayerType.Sentinel2RgbCloudless, { cloudMask: false }, "12/2200/1400");
+  assert.notEqual(cellCacheKey(LayerType.Sentinel2RgbCloudless, { cloudMask: true }, "12/2200/1400"), key);
+  assert.notEqual(cellCacheKey(LayerType.Sentinel2RgbCloudless, { cloudMask: false }, "12/2200/1401"), key);
+  assert.equal(cellCacheKey(LayerType.Sentinel2RgbCloudless, { cloudMask: false }, "12/2200/1400"), key);
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import proj4 from 'proj4';
+import { mercatorPixelToLngLat, createWarpGrid, sampleWarpGrid, warpRaster, ResamplingMethods } from '../Warp.js';
+
+// Raster of the worker: one Float32Array per channel, valid flags per pixel
+function createRaster(width, height, channelCount = 1) {
+  const raster = { width: width, height: height, length: channelCount, valid: new Uint8Array(width * height) };
+  for (let c = 0; c < channelCount; c++)
+    raster[c] = new Float32Array(width * height);
+  return raster;
+}
+
+function fillRaster(raster, valueAt) {
+  for (let y = 0; y < raster.height; y++)
+    for (let x = 0; x < raster.width; x++) {
+      raster[0][y * raster.width + x] = valueAt(x, y);
+      raster.valid[y * raster.width + x] = 1;
+    }
+  return raster;
+}
+
+// Source pixels are 1 x 1 units over [0, 0, width, height], north up
+function sourceGrid(targetWidth, targetHeight, source, targetToSource) {
+  return createWarpGrid(targetWidth, targetHeight, (x, y) => {
+    const [u, v] = targetToSource(x, y);
+    return [u, source.height - v];
+  });
+}
+
+const noise = (x, y) => Math.sin(x * 12.9898 + y * 78.233) * 43758.5453 % 1;
+
+for (const method of Object.keys(ResamplingMethods)) {
+  test(`${method} identity warp reproduces the source`, () => {
+    const source = fillRaster(createRaster(40, 30), noise);
+    const target = createRaster(40, 30);
+    warpRaster(source, [0, 0, 40, 30], target, sourceGrid(40, 30, source, (x, y) => [x, y]), method);
+
+    assert.ok(target.valid.every(valid => valid == 1));
+    for (let i = 0; i < target[0].length; i++)
+      assert.ok(Math.abs(target[0][i] - source[0][i]) < 1e-6, `pixel ${i}`);
+  });
+
+  test(`${method} warp shifted by whole pixels moves the source`, () => {
+    const source = fillRaster(createRaster(40, 30), noise);
+    const target = createRaster(20, 10);
+    warpRaster(source, [0, 0, 40, 30], target, sourceGrid(20, 10, source, (x, y) => [x + 7, y + 5]), method);
+
+    for (let y = 0; y < 10; y++)
+      for (let x = 0; x < 20; x++)
+        assert.ok(Math.abs(target[0][y * 20 + x] - source[0][(y + 5) * 40 + x + 7]) < 1e-6, `pixel ${x}, ${y}`);
+  });
+}
+
+test("nearest warp upscaled by 2 repeats every source pixel", () => {
+  const source = fillRaster(createRaster(16, 16), noise);
+  const target = createRaster(32, 32);
+  warpRaster(source, [0, 0, 16, 16], target, sourceGrid(32, 32, source, (x, y) => [x / 2, y / 2]), "nearest");
+
+  for (let y = 0; y < 32; y++)
+    for (let x = 0; x < 32; x++)
+      assert.equal(target[0][y * 32 + x], source[0][(y >> 1) * 16 + (x >> 1)]);
+});
+
+// Both interpolations reproduce a linear ramp exactly away from the raster edges
+for (const method of ["bilinear", "cubic"]) {
+  test(`${method} warp upscaled by 2 interpolates a linear ramp`, () => {
+    const ramp = (u, v) => 3 + 0.5 * u - 0.25 * v;
+    const source = fillRaster(createRaster(16, 16), ramp);
+    const target = createRaster(32, 32);
+    warpRaster(source, [0, 0, 16, 16], target, sourceGrid(32, 32, source, (x, y) => [x / 2, y / 2]), method);
+
+    for (let y = 4; y < 28; y++)
+      for (let x = 4; x < 28; x++) {
+        const u = (x + 0.5) / 2 - 0.5, v = (y + 0.5) / 2 - 0.5;
+        assert.ok(Math.abs(target[0][y * 32 + x] - ramp(u, v)) < 1e-5, `pixel ${x}, ${y}`);
+      }
+  });
+}
+
+for (const method of Object.keys(ResamplingMethods)) {
+  test(`${method} warp leaves the pixels without source data empty`, () => {
+    // The right half has no data, its values must not leak into the left half
+    const source = fillRaster(createRaster(20, 20), () => 5);
+    for (let y = 0; y < 20; y++)
+      for (let x = 10; x < 20; x++) {
+        source[0][y * 20 + x] = 1000;
+        source.valid[y * 20 + x] = 0;
+      }
+
+    const target = createRaster(40, 40);
+    warpRaster(source, [0, 0, 20, 20], target, sourceGrid(40, 40, source, (x, y) => [x / 2, y / 2]), method);
+
+    for (let y = 0; y < 40; y++)
+      for (let x = 0; x < 40; x++) {
+        const i = y * 40 + x;
+        assert.equal(target.valid[i], x < 20 ? 1 : 0, `pixel ${x}, ${y}`);
+        if (target.valid[i])
+          assert.ok(Math.abs(target[0][i] - 5) < 1e-6, `pixel ${x}, ${y}`);
+      }
+  });
+
+  test(`${method} warp skips pixels outside of the source bbox and the ones with data`, () => {
+    const source = fillRaster(createRaster(10, 10), () => 5);
+    const target = createRaster(20, 20);
+    target[0][0] = 9;
+    target.valid[0] = 1;
+    warpRaster(source, [0, 0, 10, 10], target, sourceGrid(20, 20, source, (x, y) => [x - 5, y - 5]), method);
+
+    assert.equal(target[0][0], 9);
+    for (let y = 0; y < 20; y++)
+      for (let x = 0; x < 20; x++)
+        if (x != 0 || y != 0)
+          assert.equal(target.valid[y * 20 + x], x >= 5 && x < 15 && y >= 5 && y < 15 ? 1 : 0, `pixel ${x}, ${y}`);
+  });
+}
+
+test("sub-grid stays within a tenth of a pixel of the exact UTM transform from zoom 6 to 16", () => {
+  const toUtm = proj4("WGS84", "+proj=utm +zone=33 +datum=WGS84 +units=m +no_defs");
+  const tileSize = 256;
+
+  // Index layers are drawn from zoom 6, where the tiles are largest and the sub-grid error too
+  for (let zoom = 6; zoom <= 16; zoom++) {
+    // The tile around 15°E 48°N, in the middle of UTM zone 33
+    const tileCount = Math.pow(2, zoom);
+    const tileX = Math.floor((15 + 180) / 360 * tileCount);
+    const latRad = 48 * Math.PI / 180;
+    const tileY = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * tileCount);
+    const tileLat = y => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / tileCount))) * 180 / Math.PI;
+    const topLeft = { lng: tileX / tileCount * 360 - 180, lat: tileLat(tileY) };
+    const bottomRight = { lng: (tileX + 1) / tileCount * 360 - 180, lat: tileLat(tileY + 1) };
+
+    const pixelToLngLat = mercatorPixelToLngLat(topLeft, bottomRight, tileSize, tileSize);
+    const pixelToUtm = (x, y) => toUtm.forward(pixelToLngLat(x, y));
+    const grid = createWarpGrid(tileSize, tileSize, pixelToUtm);
+    const pixelSize = Math.hypot(...[0, 1].map(i => pixelToUtm(1, 0)[i] - pixelToUtm(0, 0)[i]));
+
+    let maxError = 0;
+    for (let y = 0.5; y < tileSize; y += 3)
+      for (let x = 0.5; x < tileSize; x += 3) {
+        const [gridX, gridY] = sampleWarpGrid(grid, x, y);
+        const [exactX, exactY] = pixelToUtm(x, y);
+        maxError = Math.max(maxError, Math.hypot(gridX - exactX, gridY - exactY));
+      }
+
+    assert.ok(maxError / pixelSize < 0.1, `zoom ${zoom}: ${(maxError / pixelSize).toFixed(4)} pixels`);
+  }
+});